@@ -19,6 +19,12 @@ module.exports = {
     commonjs: true,
     es6: true,
   },
+  globals: {
+    GPUBufferUsage: "readonly",
+    GPUTextureUsage: "readonly",
+    GPUShaderStage: "readonly",
+    GPUMapMode: "readonly",
+  },
   ignorePatterns: ["!**/.server", "!**/.client"],
 
   // Base config
@@ -0,0 +1,77 @@
+import {
+  forwardRef,
+  type ComponentPropsWithoutRef,
+  type ForwardedRef,
+} from "react";
+import WebGPUImage, { type WebGPUImageHandle } from "./WebGPUImage";
+
+const ALTERNATES = { grayscale: 0, blur: 1, image: 2 };
+
+interface RevealImageProps
+  extends Omit<
+    ComponentPropsWithoutRef<typeof WebGPUImage>,
+    "effect" | "passes" | "textures" | "fragmentShader"
+  > {
+  /**
+   * Shown inside the circle, such as another colorway of the same product.
+   * Should match `src` in size.
+   */
+  revealSrc?: string;
+  /**
+   * What the circle shows: `revealSrc`, or the image itself in grayscale or
+   * blurred. Defaults to `"image"` with `revealSrc`, `"grayscale"` without.
+   */
+  alternate?: keyof typeof ALTERNATES;
+  /** Circle radius while hovered, as a fraction of the height */
+  radius?: number;
+  /** Circle radius with no pointer over the image. Defaults to 0. */
+  idleRadius?: number;
+  /** Added to the radius while pressed */
+  pressRadius?: number;
+  /** Added to the radius as the image scrolls through the viewport */
+  scrollRadius?: number;
+  softness?: number;
+}
+
+/**
+ * Hover to reveal: a soft circle follows the pointer and shows an
+ * alternate version of the image, through the `reveal` effect preset.
+ */
+function RevealImage(
+  {
+    revealSrc,
+    alternate = revealSrc ? "image" : "grayscale",
+    radius,
+    idleRadius,
+    pressRadius,
+    scrollRadius,
+    softness,
+    effectParams,
+    ...props
+  }: RevealImageProps,
+  ref: ForwardedRef<WebGPUImageHandle>
+) {
+  return (
+    <WebGPUImage
+      ref={ref}
+      {...props}
+      effect="reveal"
+      textures={revealSrc ? { reveal: revealSrc } : undefined}
+      effectParams={{
+        ...effectParams,
+        alternate: ALTERNATES[alternate],
+        ...Object.fromEntries(
+          Object.entries({
+            radius,
+            idleRadius,
+            pressRadius,
+            scrollRadius,
+            softness,
+          }).filter(([, value]) => value !== undefined)
+        ),
+      }}
+    />
+  );
+}
+
+export default forwardRef(RevealImage);
@@ -1,293 +1,950 @@
-import { useRef, useEffect, useState } from "react";
-
-const SHADER_CODE = `
-  struct Uniforms {
-    tintColor: vec4f,
-    mousePos: vec2f,
-    resolution: vec2f,
-    isHovered: f32,
-    time: f32,
-  }
-
-  @group(0) @binding(0) var texSampler: sampler;
-  @group(0) @binding(1) var tex: texture_2d<f32>;
-  @group(0) @binding(2) var<uniform> uniforms: Uniforms;
-
-  struct VertexOutput {
-    @builtin(position) position: vec4f,
-    @location(0) uv: vec2f,
-  }
+import {
+  forwardRef,
+  type ForwardedRef,
+  useCallback,
+  useImperativeHandle,
+  useRef,
+  useEffect,
+  useState,
+} from "react";
+import {
+  compositor,
+  IDENTITY_TRANSFORM,
+} from "../../web-component/compositor.js";
+import { deviceManager } from "../../web-component/device-manager.js";
+import { type ExportOptions } from "../../web-component/export.js";
+import {
+  FrameLoop,
+  type FrameloopMode,
+} from "../../web-component/frame-loop.js";
+import { type PassDefinition } from "../../web-component/pass-graph.js";
+import {
+  PointerTracker,
+  type PointerUniforms,
+} from "../../web-component/pointer.js";
+import {
+  createRenderer,
+  type Effect,
+  type Renderer,
+} from "../../web-component/renderer.js";
+import {
+  referencesTime,
+  TEXTURE_INPUTS,
+  type ShaderErrorDetail,
+} from "../../web-component/shader.js";
+import {
+  fitTransform,
+  intrinsicSizeStyle,
+  observeCanvasSize,
+  parsePosition,
+  type ObjectFit,
+  type Size,
+} from "../../web-component/sizing.js";
+import {
+  isVideoURL,
+  releaseTexture,
+  TextureSource,
+  type SourceInput,
+} from "../../web-component/texture-source.js";
+import { getTransitionNames } from "../../web-component/transitions.js";
+import {
+  UniformBlock,
+  UniformLayout,
+  type ParamSchema,
+  type ParamValue,
+} from "../../web-component/uniforms.js";
+import { WebGLRenderer } from "../../web-component/webgl-fallback.js";
+import {
+  observeScroll,
+  observeVisibility,
+  OFFSCREEN_RELEASE_DELAY,
+  scrollProgress,
+} from "../../web-component/visibility.js";
+import {
+  canRenderInWorker,
+  WorkerRenderer,
+} from "../../web-component/worker-client.js";
 
-  @vertex
-  fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
-    var pos = array<vec2f, 4>(
-      vec2f(-1.0, -1.0),
-      vec2f(1.0, -1.0),
-      vec2f(-1.0, 1.0),
-      vec2f(1.0, 1.0)
-    );
-    var uv = array<vec2f, 4>(
-      vec2f(0.0, 1.0),
-      vec2f(1.0, 1.0),
-      vec2f(0.0, 0.0),
-      vec2f(1.0, 0.0)
-    );
-    var output: VertexOutput;
-    output.position = vec4f(pos[vertexIndex], 0.0, 1.0);
-    output.uv = uv[vertexIndex];
-    return output;
-  }
+const EFFECT_PARAMS = {
+  tint: { type: "color", default: "#ffffff" },
+  amplitude: { type: "float", default: 0.025, min: 0, max: 0.5 },
+  frequency: { type: "float", default: 10, min: 0, max: 100 },
+  speed: { type: "float", default: 10, min: 0, max: 100 },
+} satisfies ParamSchema;
+const EFFECT_UNIFORMS = new UniformLayout(EFFECT_PARAMS);
 
+const DEFAULT_FRAGMENT_SHADER = `
   fn offset(uv: vec2f) -> vec2f {
-    let amplitude = 0.025;
-    let frequency = 10.0;
-    let phase = uniforms.time * 10.0;
-    let mouseDistance = distance(uv, uniforms.mousePos);
-    let waveStrength = uniforms.isHovered * smoothstep(0.0, 0.5, mouseDistance);
+    let amplitude = uniforms.amplitude;
+    let frequency = uniforms.frequency;
+    let phase = uniforms.time * uniforms.speed;
+    let mouseDistance = distance(uv, uniforms.mouse);
+    let waveStrength = uniforms.hover * smoothstep(0.0, 0.5, mouseDistance);
     return (uv + vec2f(
       amplitude * sin(frequency * uv.x + phase) * waveStrength,
       amplitude * sin(frequency * uv.x + phase) * waveStrength
     ));
   }
 
-  @fragment
-  fn fragmentMain(@location(0) uv: vec2f) -> @location(0) vec4f {
+  fn effect(uv: vec2f) -> vec4f {
     let offsetUV = offset(uv);
-    let texColor = textureSample(tex, texSampler, offsetUV);
-    return texColor * uniforms.tintColor;
+    let texColor = sampleImage(offsetUV);
+    return texColor * uniforms.tint;
   }
 `;
 
-interface WebGPUImageProps {
-  src: string;
+// GLSL port of the default effect for the WebGL2 fallback
+const DEFAULT_GLSL_SHADER = `
+  vec2 offset(vec2 uv) {
+    float phase = uniforms.time * uniforms.speed;
+    float mouseDistance = distance(uv, uniforms.mouse);
+    float waveStrength = uniforms.hover * smoothstep(0.0, 0.5, mouseDistance);
+    float wave = uniforms.amplitude * sin(uniforms.frequency * uv.x + phase);
+    return uv + vec2(wave * waveStrength);
+  }
+
+  vec4 effect(vec2 uv) {
+    return sampleImage(offset(uv)) * uniforms.tint;
+  }
+`;
+
+/** Effect parameters, written to the uniform buffer as they change */
+interface EffectParams {
+  /** Multiplied over the output, as `"#rrggbb"` or 0-1 components */
+  tint?: ParamValue;
+  amplitude?: number;
+  frequency?: number;
+  speed?: number;
+}
+
+// Advances the tracker's smoothing, asking for frames until it settles
+const samplePointer = (
+  tracker: PointerTracker | null,
+  frameLoop: FrameLoop,
+  uvTransform: ArrayLike<number>
+): Partial<PointerUniforms> => {
+  if (!tracker) return {};
+  if (tracker.update()) frameLoop.requestFrame();
+  return tracker.uniforms(uvTransform);
+};
+
+interface GPUState {
+  device: GPUDevice;
+  context: GPUCanvasContext | null;
+  source: TextureSource;
+  /** Null for video, which is imported as an external texture */
+  texture: GPUTexture | null;
+  /** Draws `source` through the effect; one per source */
+  renderer: Renderer;
+}
+
+// The built-in or custom single effect, as a pass
+const effectPass = (fragment: string): PassDefinition => ({
+  name: "effect",
+  fragment,
+  params: EFFECT_PARAMS,
+  textures: TEXTURE_INPUTS,
+});
+
+// `passes`, or the `effect` presets, with unknown ones left for the
+// renderer to report; otherwise the single effect
+const effectFor = (graphKey: string | null, fragmentShader: string): Effect => {
+  const spec: { passes?: PassDefinition[]; effect?: string | string[] } =
+    graphKey ? JSON.parse(graphKey) : {};
+  return spec.passes ?? spec.effect ?? effectPass(fragmentShader);
+};
+
+export interface WebGPUImageHandle {
+  /**
+   * Redraws on the next frame. With `frameloop="demand"` this is only needed
+   * for changes the component can't see; with `"never"` it is the only way
+   * to draw.
+   */
+  invalidate(): void;
+  /**
+   * Reads back a compute pass's buffer as of the last frame, such as
+   * `histogram` from the `histogram` effect
+   */
+  readBuffer(name: string): Promise<Uint32Array>;
+  /**
+   * Renders the current effect state into a texture of its own and reads
+   * it back, at any size and independent of the canvas. The whole image is
+   * drawn, whatever `fit` is.
+   */
+  export(options?: ExportOptions): Promise<Blob | ImageData>;
+}
+
+interface WebGPUImageProps extends EffectParams {
+  /**
+   * An image or video URL, or a video, canvas, `OffscreenCanvas`,
+   * `ImageBitmap` or `MediaStream` (keep these referentially stable)
+   */
+  src: SourceInput;
+  /**
+   * Sources to cycle through in place of `src`, one every `interval`
+   * milliseconds while the image is on screen
+   */
+  slides?: SourceInput[];
+  /** Defaults to 5000 */
+  interval?: number;
+  /**
+   * Registered transition shader, such as `"dissolve"`, `"wipe"`,
+   * `"displacement"` or `"noise"`, that animates from the previous source
+   * when `src` changes. Their parameters, like the wipe's `angle`, go in
+   * `effectParams`. Without one, sources swap at once.
+   */
+  transition?: string;
+  /** In milliseconds. Defaults to 600. */
+  transitionDuration?: number;
+  /**
+   * A CSS easing keyword or `cubic-bezier()`. Defaults to `"ease-in-out"`.
+   */
+  transitionEasing?: string;
   className?: string;
+  /** Draw through the shared page-wide canvas instead of a canvas per image */
+  compositor?: boolean;
+  /**
+   * Draw in the page's render worker, off the main thread. Only image URLs
+   * are drawn there; videos, element sources, `compositor` and transitions
+   * stay on the main thread, as do browsers without WebGPU in workers.
+   */
+  worker?: boolean;
+  /**
+   * How the source fills the canvas when their aspect ratios differ, as
+   * with `object-fit`. Only matters once CSS sets both dimensions; otherwise
+   * the canvas takes the source's aspect ratio. Defaults to `"fill"`.
+   */
+  fit?: ObjectFit;
+  /** Keyword or percentage `object-position`. Defaults to `"50% 50%"`. */
+  position?: string;
+  /**
+   * Images larger than this on either side are scaled down before upload.
+   * Defaults to 8192, the largest texture every WebGPU device supports.
+   */
+  maxTextureSize?: number;
+  /**
+   * `"lazy"` fetches and allocates nothing until the canvas nears the
+   * viewport, and frees its GPU resources after it has been offscreen for a
+   * while. Defaults to `"eager"`.
+   */
+  loading?: "lazy" | "eager";
+  /**
+   * `"always"` draws every frame. `"demand"` draws when a prop, the pointer,
+   * the size or the source changes, and every frame while the effect is
+   * animated or the source is a video or canvas. `"never"` only redraws on
+   * `invalidate()`, besides the first frame after a resize or a new effect.
+   * Defaults to `"always"`.
+   */
+  frameloop?: FrameloopMode;
+  /**
+   * Whether the effect changes over time by itself. Defaults to whether
+   * `fragmentShader` reads `uniforms.time`; passes declare it per pass.
+   */
+  animated?: boolean;
+  /**
+   * WGSL for the body of `fn effect(uv: vec2f) -> vec4f`, or code declaring
+   * `effect` itself. Gets the standard bindings and helper prelude.
+   */
+  fragmentShader?: string;
+  /**
+   * Multi-pass effects, each reading the previous pass's output. When set
+   * they replace `fragmentShader` and the effect parameters.
+   */
+  passes?: PassDefinition[];
+  /**
+   * Registered preset names, e.g. `"duotone"` or `["blur", "vignette"]`,
+   * chained as passes. Ignored when `passes` is set.
+   */
+  effect?: string | string[];
+  /** Preset parameters, applied to every preset that declares them */
+  effectParams?: Record<string, ParamValue>;
+  /**
+   * Image URLs for the texture inputs: `reveal`, `displacement`, `mask` and
+   * `lut`, such as `{ mask: "/shape.png" }`. `fragmentShader` can sample
+   * them all by name; passes read those they list in `textures`. `lut` is
+   * better set through the `lut` prop.
+   */
+  textures?: Record<string, string>;
+  /**
+   * A `.cube` file or 2D LUT image (a 256x16 strip or 512x512 grid) that
+   * the output is graded through, after the effect
+   */
+  lut?: string;
+  /** How much of the graded color to mix in, 0-1. Defaults to 1. */
+  lutIntensity?: number;
+  /**
+   * Called when `fragmentShader` fails to compile, with line numbers
+   * relative to the snippet. The last good effect (or the plain image)
+   * keeps rendering meanwhile.
+   */
+  onShaderError?: (error: ShaderErrorDetail) => void;
+  /** Called when the shared GPUDevice is lost; rendering pauses */
+  onDeviceLost?: () => void;
+  /** Called once resources are rebuilt on the replacement device */
+  onDeviceRestored?: () => void;
+  onTransitionStart?: () => void;
+  /** Called when a transition completes, or is cut short by the next */
+  onTransitionEnd?: () => void;
+  /**
+   * Without WebGPU, `"webgl"` renders the default effect through WebGL2
+   * (custom shaders show the plain image), `"image"` shows the plain image
+   * and `"none"` shows an error instead. Defaults to `"webgl"`.
+   */
+  fallback?: "webgl" | "image" | "none";
+  /** Alt text for the plain image fallback */
+  alt?: string;
   onLoad?: () => void;
 }
 
-function WebGPURenderer({ src, className, onLoad }: WebGPUImageProps) {
-  const canvas = useRef<HTMLCanvasElement>(null);
+function WebGPURenderer(
+  {
+    src: srcProp,
+    slides,
+    interval = 5000,
+    transition,
+    transitionDuration,
+    transitionEasing,
+    className,
+    compositor: useCompositor = false,
+    worker = false,
+    fit = "fill",
+    position = "50% 50%",
+    maxTextureSize,
+    loading = "eager",
+    frameloop = "always",
+    animated,
+    fragmentShader = DEFAULT_FRAGMENT_SHADER,
+    passes,
+    effect,
+    effectParams,
+    textures,
+    lut,
+    lutIntensity,
+    onShaderError,
+    onDeviceLost,
+    onDeviceRestored,
+    onTransitionStart,
+    onTransitionEnd,
+    fallback = "webgl",
+    alt = "",
+    onLoad,
+    tint,
+    amplitude,
+    frequency,
+    speed,
+  }: WebGPUImageProps,
+  ref: ForwardedRef<WebGPUImageHandle>
+) {
+  const canvas = useRef<HTMLCanvasElement | null>(null);
+  // Read by the render loops, so resizing doesn't restart them
+  const fitRef = useRef({
+    fit,
+    position: parsePosition(position),
+    size: { width: 0, height: 0 } as Size,
+  });
+  const stopObservingRef = useRef<() => void>();
   const [isVisible, setIsVisible] = useState(false);
-  const [gpuContext, setGpuContext] = useState<{
-    device: GPUDevice;
-    context: GPUCanvasContext;
-    pipeline: GPURenderPipeline;
-    bindGroup: GPUBindGroup;
-    uniformBuffer: GPUBuffer;
-  } | null>(null);
+  // Whether GPU resources should exist; lazy renderers start without
+  const [isResident, setIsResident] = useState(loading === "eager");
+  const [gpuContext, setGpuContext] = useState<GPUState | null>(null);
   const startTimeRef = useRef<number>(0);
-  const imageRef = useRef<HTMLImageElement | null>(null);
-  const animationFrameRef = useRef<number>();
+  const sourceRef = useRef<{
+    input: SourceInput;
+    maxTextureSize?: number;
+    source: TextureSource;
+  } | null>(null);
   const [dimensions, setDimensions] = useState<{
     width: number;
     height: number;
   } | null>(null);
-  const [isHovered, setIsHovered] = useState(false);
-  const [mousePos, setMousePos] = useState<[number, number]>([0, 0]);
+  // Written straight into the uniforms, so input doesn't re-render
+  const pointerRef = useRef<PointerTracker | null>(null);
+  const readsScrollRef = useRef(false);
+  const rendererRef = useRef<Renderer | null>(null);
+  // Set by the render effect while there is something to export
+  const exportRef = useRef<
+    ((options: ExportOptions) => Promise<Blob | ImageData>) | null
+  >(null);
+  // Driven by whichever render effect is active
+  const [frameLoop] = useState(() => new FrameLoop(() => {}));
   const [error, setError] = useState<string | null>(null);
+  const [isUnsupported, setIsUnsupported] = useState(false);
+  const [webGLFailed, setWebGLFailed] = useState(false);
+  const [uniforms] = useState(() => new UniformBlock(EFFECT_UNIFORMS));
+  const [device, setDevice] = useState<GPUDevice | null>(null);
+  // Replaced whenever a renderer swaps in a new effect, or changes what it
+  // draws by itself; renderers of previous sources are skipped
+  const [appliedEffect, setAppliedEffect] = useState<{
+    renderer: Renderer;
+  } | null>(null);
+  const isRestoringRef = useRef(false);
+  const callbacksRef = useRef({
+    onShaderError,
+    onDeviceLost,
+    onDeviceRestored,
+    onTransitionStart,
+    onTransitionEnd,
+    onLoad,
+  });
+  const [slideIndex, setSlideIndex] = useState(0);
+  const slideCount = slides?.length ?? 0;
+  const src = slides?.length ? slides[slideIndex % slides.length] : srcProp;
+  const inWorker =
+    worker &&
+    !useCompositor &&
+    typeof src === "string" &&
+    !isVideoURL(src) &&
+    canRenderInWorker();
+  // Draws in place of the main-thread renderers while `inWorker`
+  const [remote, setRemote] = useState<WorkerRenderer | null>(null);
+  // A canvas hands its control to a worker once, and keeps a context once
+  // it has one, so each worker renderer or mode change gets a fresh one
+  const [canvasGeneration, setCanvasGeneration] = useState(0);
+  const handedOverRef = useRef<HTMLCanvasElement | null>(null);
+  // Read when a new source is ready, so changing them doesn't reload it
+  const transitionOptionsRef = useRef({
+    transition,
+    transitionDuration,
+    transitionEasing,
+  });
+  // The replaced source's texture, until the next one decides whether to
+  // transition from it
+  const outgoingRef = useRef<{
+    texture: GPUTexture;
+    device: GPUDevice;
+  } | null>(null);
 
-  const loadImage = async (src: string): Promise<HTMLImageElement> => {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.crossOrigin = "anonymous";
-      img.onload = () => {
-        setDimensions({ width: img.naturalWidth, height: img.naturalHeight });
-        onLoad?.();
-        resolve(img);
-      };
-      img.onerror = (e) =>
-        reject(new Error(`Failed to load image: ${src}. ${e}`));
-      img.src = src;
-    });
-  };
+  useImperativeHandle(
+    ref,
+    () => ({
+      invalidate: () => (remote ? remote.invalidate() : frameLoop.invalidate()),
+      readBuffer: async (name) => {
+        if (remote) return remote.readBuffer(name);
+        const renderer = rendererRef.current;
+        if (!renderer) throw new Error(`No pass has a buffer named "${name}"`);
+        return renderer.readBuffer(name);
+      },
+      export: async (options = {}) => {
+        if (remote) return remote.export(options);
+        if (!exportRef.current) {
+          throw new Error("There is no WebGPU rendering to export");
+        }
+        return exportRef.current(options);
+      },
+    }),
+    [frameLoop, remote]
+  );
 
-  const initDevice = async () => {
-    if (!navigator.gpu) {
-      throw new Error(
-        "Your browser doesn't support WebGPU. Please try a compatible browser like Chrome Canary."
-      );
+  useEffect(() => {
+    frameLoop.setMode(frameloop);
+    remote?.setFrameloop(frameloop);
+  }, [frameLoop, remote, frameloop]);
+
+  useEffect(() => {
+    const retained = sourceRef;
+    return () => retained.current?.source.destroy();
+  }, []);
+
+  useEffect(() => {
+    callbacksRef.current = {
+      onShaderError,
+      onDeviceLost,
+      onDeviceRestored,
+      onTransitionStart,
+      onTransitionEnd,
+      onLoad,
+    };
+  }, [
+    onShaderError,
+    onDeviceLost,
+    onDeviceRestored,
+    onTransitionStart,
+    onTransitionEnd,
+    onLoad,
+  ]);
+
+  useEffect(() => {
+    transitionOptionsRef.current = {
+      transition,
+      transitionDuration,
+      transitionEasing,
+    };
+  }, [transition, transitionDuration, transitionEasing]);
+
+  useEffect(() => {
+    if (slideCount < 2 || !isVisible) return;
+    const timer = setTimeout(
+      () => setSlideIndex((index) => (index + 1) % slideCount),
+      interval
+    );
+    return () => clearTimeout(timer);
+  }, [slideCount, interval, isVisible, slideIndex]);
+
+  const releaseOutgoing = useCallback(() => {
+    if (outgoingRef.current) releaseTexture(outgoingRef.current.texture);
+    outgoingRef.current = null;
+  }, []);
+
+  // Hands the outgoing texture to the new renderer to animate from when a
+  // transition is set. A source change mid-transition has cut the running
+  // one short with the previous renderer.
+  const beginTransition = useCallback(
+    (renderer: Renderer, device: GPUDevice) => {
+      const outgoing = outgoingRef.current;
+      outgoingRef.current = null;
+      if (!outgoing) return;
+      const { transition: name, ...options } = transitionOptionsRef.current;
+      if (
+        !name ||
+        !getTransitionNames().includes(name) ||
+        outgoing.device !== device
+      ) {
+        releaseTexture(outgoing.texture);
+        return;
+      }
+      renderer.beginTransition(name, outgoing.texture, {
+        duration: options.transitionDuration,
+        easing: options.transitionEasing,
+      });
+    },
+    []
+  );
+
+  let fallbackMode: "webgl" | "image" | null = null;
+  if (isUnsupported && fallback !== "none") {
+    fallbackMode =
+      fallback === "webgl" &&
+      fragmentShader === DEFAULT_FRAGMENT_SHADER &&
+      !webGLFailed
+        ? "webgl"
+        : "image";
+  }
+
+  useEffect(() => {
+    if (loading === "eager" || isVisible) {
+      setIsResident(true);
+      return;
     }
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) {
-      throw new Error(
-        "No WebGPU adapter found. Your GPU might not be supported."
+    const timer = setTimeout(
+      () => setIsResident(false),
+      OFFSCREEN_RELEASE_DELAY
+    );
+    return () => clearTimeout(timer);
+  }, [loading, isVisible]);
+
+  useEffect(() => {
+    if (isResident && !inWorker) return;
+    setDevice(null);
+    setGpuContext(null);
+    setAppliedEffect(null);
+    sourceRef.current?.source.destroy();
+    sourceRef.current = null;
+  }, [isResident, inWorker]);
+
+  // The device reference lives as long as the renderer is resident, so a
+  // device swap after loss doesn't drop the shared refcount to zero.
+  useEffect(() => {
+    if (!isResident || inWorker) return;
+    let isActive = true;
+    let hasDevice = false;
+
+    deviceManager.acquire().then(
+      (acquired) => {
+        if (!isActive) {
+          deviceManager.release();
+          return;
+        }
+        hasDevice = true;
+        setDevice(acquired);
+      },
+      (error) => {
+        if (!isActive) return;
+        console.error("Failed to initialize WebGPU:", error);
+        setIsUnsupported(true);
+        setError(error instanceof Error ? error.message : String(error));
+      }
+    );
+
+    const handleDeviceLost = () => {
+      setDevice(null);
+      setGpuContext(null);
+      setAppliedEffect(null);
+      callbacksRef.current.onDeviceLost?.();
+    };
+    const handleDeviceRestored = (event: Event) => {
+      isRestoringRef.current = true;
+      setDevice((event as CustomEvent<{ device: GPUDevice }>).detail.device);
+    };
+    deviceManager.addEventListener("devicelost", handleDeviceLost);
+    deviceManager.addEventListener("devicerestored", handleDeviceRestored);
+
+    return () => {
+      isActive = false;
+      deviceManager.removeEventListener("devicelost", handleDeviceLost);
+      deviceManager.removeEventListener("devicerestored", handleDeviceRestored);
+      if (hasDevice) deviceManager.release();
+    };
+  }, [isResident, inWorker]);
+
+  useEffect(() => {
+    fitRef.current.fit = fit;
+    fitRef.current.position = parsePosition(position);
+    remote?.setFit(fit, position);
+    frameLoop.requestFrame();
+  }, [frameLoop, remote, fit, position]);
+
+  // The backing store follows the canvas' CSS size times devicePixelRatio,
+  // drawing stops while the canvas is away from the viewport, and pointer
+  // input is tracked over it. A worker renderer does the first and last
+  // itself.
+  const canvasRef = useCallback(
+    (element: HTMLCanvasElement | null) => {
+      canvas.current = element;
+      stopObservingRef.current?.();
+      stopObservingRef.current = undefined;
+      if (!element) return;
+      if (inWorker) {
+        stopObservingRef.current = observeVisibility(element, setIsVisible);
+        return;
+      }
+      const stopObservingSize = observeCanvasSize(element, (size) => {
+        fitRef.current.size = size;
+        frameLoop.invalidate();
+      });
+      const stopObservingVisibility = observeVisibility(element, setIsVisible);
+      const pointer = new PointerTracker(element, () =>
+        frameLoop.requestFrame()
       );
+      pointerRef.current = pointer;
+      stopObservingRef.current = () => {
+        stopObservingSize();
+        stopObservingVisibility();
+        pointer.destroy();
+        pointerRef.current = null;
+      };
+    },
+    [frameLoop, inWorker]
+  );
+
+  // Renderers keep the values through effect changes
+  useEffect(() => {
+    const values = { tint, amplitude, frequency, speed };
+    for (const [name, value] of Object.entries(values)) {
+      uniforms.set(name, value);
+      gpuContext?.renderer.set("effect", name, value);
+      remote?.set("effect", name, value);
     }
-    return await adapter.requestDevice();
-  };
-
-  const createTextureAndSampler = (
-    device: GPUDevice,
-    img: HTMLImageElement
-  ) => {
-    const texture = device.createTexture({
-      size: [img.width, img.height],
-      format: "rgba8unorm",
-      usage:
-        GPUTextureUsage.TEXTURE_BINDING |
-        GPUTextureUsage.COPY_DST |
-        GPUTextureUsage.RENDER_ATTACHMENT,
-    });
+    frameLoop.requestFrame();
+  }, [
+    frameLoop,
+    uniforms,
+    gpuContext,
+    remote,
+    tint,
+    amplitude,
+    frequency,
+    speed,
+  ]);
 
-    device.queue.copyExternalImageToTexture({ source: img }, { texture }, [
-      img.width,
-      img.height,
-    ]);
+  useEffect(() => {
+    if (fallbackMode !== "webgl" || !isResident) return;
+    let renderer: WebGLRenderer | null = null;
 
-    const sampler = device.createSampler({
-      magFilter: "linear",
-      minFilter: "linear",
-      addressModeU: "clamp-to-edge",
-      addressModeV: "clamp-to-edge",
-    });
+    let isActive = true;
+    let source: TextureSource | null = null;
 
-    return { texture, sampler };
-  };
-
-  const createBindGroup = (
-    device: GPUDevice,
-    sampler: GPUSampler,
-    texture: GPUTexture,
-    uniformBuffer: GPUBuffer
-  ) => {
-    const bindGroupLayout = device.createBindGroupLayout({
-      label: "bindGroup0",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.FRAGMENT,
-          sampler: { type: "filtering" },
-        },
-        {
-          binding: 1,
-          visibility: GPUShaderStage.FRAGMENT,
-          texture: { sampleType: "float" },
-        },
-        {
-          binding: 2,
-          visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
-          buffer: { type: "uniform" },
-        },
-      ],
-    });
+    TextureSource.load(src, { maxTextureSize })
+      .then((loaded) => {
+        source = loaded;
+        if (!isActive || !canvas.current) return;
+        const { width, height } = loaded;
+        setDimensions({ width, height });
+        try {
+          renderer = new WebGLRenderer(canvas.current, {
+            fragment: DEFAULT_GLSL_SHADER,
+            uniformLayout: EFFECT_UNIFORMS,
+          });
+          renderer.setImage(loaded.uploadSource);
+        } catch (error) {
+          console.warn("WebGL fallback failed:", error);
+          setWebGLFailed(true);
+          return;
+        }
+        callbacksRef.current.onLoad?.();
 
-    const bindGroup = device.createBindGroup({
-      layout: bindGroupLayout,
-      entries: [
-        { binding: 0, resource: sampler },
-        { binding: 1, resource: texture.createView() },
-        { binding: 2, resource: { buffer: uniformBuffer } },
-      ],
-    });
+        const startTime = performance.now();
+        const render = () => {
+          if (loaded.isDynamic) renderer?.setImage(loaded.uploadSource);
+          const { fit, position, size } = fitRef.current;
+          const uvTransform = fitTransform(fit, position, loaded, size);
+          uniforms.set("resolution", [
+            canvas.current?.width || 0,
+            canvas.current?.height || 0,
+          ]);
+          uniforms.set("uvTransform", uvTransform);
+          const pointer = samplePointer(
+            pointerRef.current,
+            frameLoop,
+            uvTransform
+          );
+          for (const [name, value] of Object.entries(pointer)) {
+            uniforms.set(name, value);
+          }
+          uniforms.set("time", (performance.now() - startTime) / 1000);
+          renderer?.render(uniforms.data);
+        };
+        frameLoop.draw = render;
+        frameLoop.animated =
+          loaded.isDynamic || (animated ?? referencesTime(DEFAULT_GLSL_SHADER));
+        frameLoop.invalidate();
+        frameLoop.start();
+      })
+      .catch(() => setWebGLFailed(true));
 
-    return { bindGroupLayout, bindGroup };
-  };
+    return () => {
+      isActive = false;
+      frameLoop.stop();
+      renderer?.destroy();
+      source?.destroy();
+    };
+  }, [
+    fallbackMode,
+    isResident,
+    src,
+    maxTextureSize,
+    uniforms,
+    frameLoop,
+    animated,
+  ]);
 
-  const createRenderPipeline = (
-    device: GPUDevice,
-    bindGroupLayout: GPUBindGroupLayout,
-    canvasFormat: GPUTextureFormat
-  ) => {
-    const shaderModule = device.createShaderModule({
-      code: SHADER_CODE,
-    });
+  const loadSource = useCallback(
+    async (src: SourceInput): Promise<TextureSource> => {
+      const source = await TextureSource.load(src, { maxTextureSize });
+      setDimensions({ width: source.width, height: source.height });
+      callbacksRef.current.onLoad?.();
+      return source;
+    },
+    [maxTextureSize]
+  );
+
+  // Compared by value so inline arrays don't rebuild the graph every render
+  const graphKey = passes?.length
+    ? JSON.stringify({ passes })
+    : effect?.length
+    ? JSON.stringify({ effect })
+    : null;
+  const effectParamsKey = JSON.stringify(effectParams ?? {});
+  const texturesKey = JSON.stringify({ ...textures, ...(lut && { lut }) });
 
-    const pipelineLayout = device.createPipelineLayout({
-      bindGroupLayouts: [bindGroupLayout],
+  // Loaded by the renderer, which grades through `lut` after the effect
+  useEffect(() => {
+    gpuContext?.renderer.setTextureURLs(JSON.parse(texturesKey), {
+      maxTextureSize,
     });
+  }, [gpuContext, texturesKey, maxTextureSize]);
+
+  useEffect(
+    () =>
+      observeScroll(() => {
+        if (!readsScrollRef.current) return;
+        if (remote && canvas.current) {
+          remote.setScroll(scrollProgress(canvas.current));
+        } else {
+          frameLoop.requestFrame();
+        }
+      }),
+    [frameLoop, remote]
+  );
+
+  useEffect(() => {
+    if (!gpuContext) return;
+    const { renderer } = gpuContext;
+    let isCurrent = true;
+
+    renderer
+      .setEffect(
+        effectFor(graphKey, fragmentShader),
+        effectPass(fragmentShader)
+      )
+      .then((applied) => {
+        if (applied && isCurrent) setAppliedEffect({ renderer });
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [gpuContext, fragmentShader, graphKey]);
 
-    return device.createRenderPipeline({
-      layout: pipelineLayout,
-      vertex: {
-        module: shaderModule,
-        entryPoint: "vertexMain",
+  useEffect(() => {
+    const values: Record<string, ParamValue> = JSON.parse(effectParamsKey);
+    for (const [param, value] of Object.entries(values)) {
+      gpuContext?.renderer.setParam(param, value);
+      remote?.setParam(param, value);
+    }
+    frameLoop.requestFrame();
+  }, [frameLoop, gpuContext, remote, effectParamsKey]);
+
+  useEffect(() => {
+    gpuContext?.renderer.set("lut", "intensity", lutIntensity);
+    remote?.set("lut", "intensity", lutIntensity);
+    frameLoop.requestFrame();
+  }, [frameLoop, gpuContext, remote, lutIntensity]);
+
+  // Worker mode: the canvas is handed over and everything else forwarded
+  useEffect(() => {
+    const element = canvas.current;
+    // Strict mode remounts with the handed-over canvas; a fresh one follows
+    if (!inWorker || !isResident || !element) return;
+    if (handedOverRef.current === element) return;
+    handedOverRef.current = element;
+    const created: WorkerRenderer = new WorkerRenderer(element, {
+      onLoad: (width, height) => {
+        setDimensions({ width, height });
+        callbacksRef.current.onLoad?.();
       },
-      fragment: {
-        module: shaderModule,
-        entryPoint: "fragmentMain",
-        targets: [{ format: canvasFormat }],
+      onError: (message, fatal) => {
+        console.error("Failed to render in the worker:", message);
+        // The worker is gone, and with it the canvas. canRenderInWorker()
+        // is false now, so the next canvas renders on the main thread.
+        if (fatal) {
+          setCanvasGeneration((generation) => generation + 1);
+        } else {
+          setError(message);
+        }
+      },
+      onShaderError: (detail) => {
+        console.error("Shader compilation failed:", detail.message);
+        callbacksRef.current.onShaderError?.(detail);
+      },
+      onEffect: (readsScroll) => {
+        readsScrollRef.current = readsScroll;
+        if (readsScroll && canvas.current) {
+          created.setScroll(scrollProgress(canvas.current));
+        }
       },
-      primitive: { topology: "triangle-strip" },
+      onDeviceLost: () => callbacksRef.current.onDeviceLost?.(),
+      onDeviceRestored: () => callbacksRef.current.onDeviceRestored?.(),
     });
-  };
+    setRemote(created);
+    return () => {
+      created.destroy();
+      setRemote(null);
+      setCanvasGeneration((generation) => generation + 1);
+    };
+  }, [inWorker, isResident, canvasGeneration]);
 
   useEffect(() => {
-    let isActive = true;
-    let observer: IntersectionObserver;
-    const initWebGPU = async () => {
-      if (!canvas.current || !src) return;
+    if (typeof src === "string") remote?.setSource(src, maxTextureSize);
+  }, [remote, src, maxTextureSize]);
 
-      try {
-        observer = new IntersectionObserver(
-          (entries) => {
-            entries.forEach((entry) => {
-              setIsVisible(entry.isIntersecting);
-            });
-          },
-          {
-            root: null,
-            rootMargin: "50px", // distance to start loading before the element is visible
-            threshold: 0.01,
-          }
-        );
+  useEffect(() => {
+    remote?.setTextures(JSON.parse(texturesKey));
+  }, [remote, texturesKey]);
 
-        observer.observe(canvas.current);
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : "An unknown error occurred";
-        console.error("Failed to initialize Intersection Observer:", error);
-        setError(errorMessage);
+  useEffect(() => {
+    remote?.setEffect(
+      effectFor(graphKey, fragmentShader),
+      effectPass(fragmentShader)
+    );
+  }, [remote, fragmentShader, graphKey]);
+
+  useEffect(() => {
+    remote?.setVisible(isVisible);
+  }, [remote, isVisible]);
+
+  useEffect(() => {
+    remote?.setAnimated(animated);
+  }, [remote, animated]);
+
+  useEffect(() => {
+    let isActive = true;
+    const resources: { destroy: () => void }[] = [];
+    const initWebGPU = async () => {
+      if (!canvas.current || !src || !device) {
+        releaseOutgoing();
+        return;
       }
 
       try {
-        const img = await loadImage(src);
-        if (!isActive) return;
-
-        imageRef.current = img;
-        canvas.current.width = img.width;
-        canvas.current.height = img.height;
+        // Reuse the retained source when rebuilding after device loss
+        let source = sourceRef.current?.source;
+        if (
+          sourceRef.current?.input !== src ||
+          sourceRef.current.maxTextureSize !== maxTextureSize
+        ) {
+          source = await loadSource(src);
+          if (!isActive) {
+            source.destroy();
+            return;
+          }
+          sourceRef.current?.source.destroy();
+          sourceRef.current = { input: src, maxTextureSize, source };
+        }
+        if (!isActive || !source) return;
 
-        const device = await initDevice();
-        const context = canvas.current.getContext("webgpu");
-        if (!context) {
+        // In compositor mode the canvas only reserves layout space
+        const context = useCompositor
+          ? null
+          : canvas.current.getContext("webgpu");
+        if (!useCompositor && !context) {
           throw new Error(
             "Failed to get WebGPU context. Your browser might not support WebGPU."
           );
         }
 
-        const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-        context.configure({
+        // Videos are imported each frame rather than copied into a texture
+        const texture = source.isExternal
+          ? null
+          : await source.acquireTexture(device);
+        if (!isActive) {
+          if (texture) releaseTexture(texture);
+          return;
+        }
+        const renderer: Renderer = createRenderer({
           device,
-          format: canvasFormat,
-          alphaMode: "premultiplied",
+          target: context,
+          // The compositor draws in the canvas format
+          format: context
+            ? undefined
+            : navigator.gpu.getPreferredCanvasFormat(),
+          source: texture,
+          external: source.isExternal,
+          onError: (detail) => {
+            console.error("Shader compilation failed:", detail.message);
+            callbacksRef.current.onShaderError?.(detail);
+          },
+          onChange: () => {
+            if (rendererRef.current === renderer) {
+              setAppliedEffect({ renderer });
+            }
+          },
+          onTransitionStart: () => callbacksRef.current.onTransitionStart?.(),
+          onTransitionEnd: () => callbacksRef.current.onTransitionEnd?.(),
         });
-
-        const { texture, sampler } = createTextureAndSampler(device, img);
-        const uniformBuffer = device.createBuffer({
-          size: 64,
-          usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        rendererRef.current = renderer;
+        resources.push({
+          destroy: () => {
+            if (rendererRef.current === renderer) rendererRef.current = null;
+            renderer.destroy();
+          },
         });
-
-        const { bindGroupLayout, bindGroup } = createBindGroup(
-          device,
-          sampler,
-          texture,
-          uniformBuffer
-        );
-
-        const pipeline = createRenderPipeline(
-          device,
-          bindGroupLayout,
-          canvasFormat
-        );
+        if (texture) {
+          // Handed to whichever source replaces this one
+          resources.push({
+            destroy: () => {
+              releaseOutgoing();
+              outgoingRef.current = { texture, device };
+            },
+          });
+        }
 
         startTimeRef.current = performance.now();
-        setGpuContext({
-          device,
-          context,
-          pipeline,
-          bindGroup,
-          uniformBuffer,
-        });
+        setGpuContext({ device, context, source, texture, renderer });
+        beginTransition(renderer, device);
+        if (isRestoringRef.current) {
+          isRestoringRef.current = false;
+          callbacksRef.current.onDeviceRestored?.();
+        }
       } catch (error) {
         const errorMessage =
           error instanceof Error ? error.message : "An unknown error occurred";
@@ -299,93 +956,153 @@ function WebGPURenderer({ src, className, onLoad }: WebGPUImageProps) {
     initWebGPU();
 
     return () => {
-      observer?.disconnect();
       isActive = false;
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
+      resources.forEach((resource) => resource.destroy());
     };
-  }, [src]);
+  }, [
+    src,
+    maxTextureSize,
+    useCompositor,
+    device,
+    loadSource,
+    releaseOutgoing,
+    beginTransition,
+  ]);
+
+  // Declared after the effects above, so it runs after their unmount
+  // cleanups have handed their textures over
+  useEffect(
+    () => () => {
+      releaseOutgoing();
+    },
+    [releaseOutgoing]
+  );
 
   useEffect(() => {
-    if (!gpuContext || !isVisible) return;
+    // A renderer for a new source waits for its effect
+    if (!gpuContext || appliedEffect?.renderer !== gpuContext.renderer) return;
+    const { device, context, source, texture, renderer } = gpuContext;
 
-    const render = () => {
-      const { device, context, pipeline, bindGroup, uniformBuffer } =
-        gpuContext;
+    // Canvases are copied again and video frames imported every frame; an
+    // imported frame expires with the task, so it is set each time
+    const refreshSource = () => {
+      const external = source.isDynamic
+        ? source.refresh(device, texture)
+        : null;
+      if (external) renderer.setSource(external, source.width, source.height);
+    };
 
+    const writeUniforms = (transform: ArrayLike<number>) => {
       const time = (performance.now() - startTimeRef.current) / 1000;
-
-      const uniformData = new Float32Array([
-        1, // tintColor (vec4f)
-        1,
-        1,
-        1,
-        mousePos[0], // (vec2f)
-        mousePos[1],
-        canvas.current?.width || 0, // (vec2f)
-        canvas.current?.height || 0,
-        isHovered ? 1 : 0, //  (f32)
-        time, //  (f32)
-        0, // padding to align to 16 bytes
-        0,
-        0,
-      ]);
-
-      device.queue.writeBuffer(uniformBuffer, 0, uniformData);
-
-      const commandEncoder = device.createCommandEncoder();
-      const passEncoder = commandEncoder.beginRenderPass({
-        colorAttachments: [
-          {
-            view: context.getCurrentTexture().createView(),
-            clearValue: { r: 0, g: 0, b: 0, a: 1.0 },
-            loadOp: "clear",
-            storeOp: "store",
-          },
-        ],
+      const { fit, position, size } = fitRef.current;
+      const uvTransform = fitTransform(fit, position, source, size);
+      // The pointer is tracked over the canvas; effects work in source UVs
+      const pointer = samplePointer(pointerRef.current, frameLoop, uvTransform);
+      const scroll =
+        readsScrollRef.current && canvas.current
+          ? scrollProgress(canvas.current)
+          : 0;
+      refreshSource();
+      renderer.update({
+        transform,
+        uvTransform,
+        resolution: [canvas.current?.width || 0, canvas.current?.height || 0],
+        time,
+        scroll,
+        ...pointer,
       });
-
-      passEncoder.setPipeline(pipeline);
-      passEncoder.setBindGroup(0, bindGroup);
-      passEncoder.draw(4, 1, 0, 0);
-      passEncoder.end();
-      device.queue.submit([commandEncoder.finish()]);
-
-      animationFrameRef.current = requestAnimationFrame(render);
+      // Transitions draw in every frameloop mode, like the first frame of a
+      // source
+      if (renderer.isTransitioning) frameLoop.invalidate();
     };
 
-    render();
-
-    return () => {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
+    const exportFrame = async (options: ExportOptions) => {
+      refreshSource();
+      try {
+        return await renderer.export(options, {
+          time: (performance.now() - startTimeRef.current) / 1000,
+        });
+      } finally {
+        // Puts the canvas's uniforms back
+        frameLoop.invalidate();
       }
     };
-  }, [gpuContext, mousePos, isHovered, isVisible]);
+    exportRef.current = exportFrame;
+    const detachExport = () => {
+      if (exportRef.current === exportFrame) exportRef.current = null;
+    };
+    if (!isVisible) return detachExport;
 
-  useEffect(() => {
-    if (!isVisible) {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-        animationFrameRef.current = undefined;
-      }
+    frameLoop.animated = source.isDynamic || (animated ?? renderer.isAnimated);
+    readsScrollRef.current = renderer.readsUniform("scroll");
+    frameLoop.invalidate();
+
+    if (!context) {
+      if (!canvas.current) return;
+      const item = {
+        element: canvas.current,
+        update: writeUniforms,
+        draw: (passEncoder: GPURenderPassEncoder) => renderer.draw(passEncoder),
+        encode: (commandEncoder: GPUCommandEncoder) =>
+          renderer.encode(commandEncoder),
+        needsRedraw: () => frameLoop.takeFrame(),
+      };
+      compositor.add(item).catch((error) => {
+        console.error("Failed to start the compositor:", error);
+        setError(error instanceof Error ? error.message : String(error));
+      });
+      return () => {
+        compositor.remove(item);
+        detachExport();
+      };
     }
-  }, [isVisible]);
 
-  const saturate = (value: number) => {
-    return Math.min(Math.max(value, 0), 1);
-  };
+    frameLoop.draw = () => {
+      writeUniforms(IDENTITY_TRANSFORM);
+      renderer.render();
+    };
+    frameLoop.start();
+    return () => {
+      frameLoop.stop();
+      detachExport();
+    };
+  }, [gpuContext, appliedEffect, isVisible, frameLoop, animated]);
 
-  const handleMouseMove = (e: React.MouseEvent<HTMLCanvasElement>) => {
-    if (!canvas.current) return;
-    const rect = canvas.current.getBoundingClientRect();
-    const x = saturate((e.clientX - rect.left) / rect.width);
-    const y = saturate((e.clientY - rect.top) / rect.height);
-    setMousePos([x, y]);
-  };
+  if (fallbackMode === "image") {
+    // Element and stream sources have no markup equivalent
+    if (typeof src !== "string") return null;
+    const style = {
+      display: "block",
+      width: "100%",
+      height: "100%",
+      objectFit: fit,
+      objectPosition: position,
+    };
+    const handleLoad = () => callbacksRef.current.onLoad?.();
+    return isVideoURL(src) ? (
+      <video
+        src={src}
+        className={className}
+        style={style}
+        onLoadedData={handleLoad}
+        autoPlay
+        muted
+        loop
+        playsInline
+      />
+    ) : (
+      <img
+        src={src}
+        alt={alt}
+        loading={loading}
+        className={className}
+        style={style}
+        onLoad={handleLoad}
+      />
+    );
+  }
 
-  if (error) {
+  if (error && !fallbackMode) {
     return (
       <div className="relative p-4 border border-red-300 bg-red-50 rounded-md">
         <p className="text-red-700">Failed to load WebGPU image: {error}</p>
@@ -408,25 +1125,25 @@ function WebGPURenderer({ src, className, onLoad }: WebGPUImageProps) {
       }}
     >
       <canvas
-        ref={canvas}
-        width={dimensions?.width}
-        height={dimensions?.height}
+        key={`${inWorker}-${canvasGeneration}`}
+        ref={canvasRef}
         className={className}
-        onMouseMove={handleMouseMove}
-        onMouseEnter={() => setIsHovered(true)}
-        onMouseLeave={() => setIsHovered(false)}
+        style={
+          dimensions
+            ? intrinsicSizeStyle(dimensions.width, dimensions.height)
+            : undefined
+        }
       />
     </div>
   );
 }
 
-export default function WebGPUImage({
-  src,
-  className,
-}: {
-  src: string;
-  className?: string;
-}) {
+const ForwardedRenderer = forwardRef(WebGPURenderer);
+
+function WebGPUImage(
+  { src, className, compositor, ...params }: Omit<WebGPUImageProps, "onLoad">,
+  ref: ForwardedRef<WebGPUImageHandle>
+) {
   const [isLoading, setIsLoading] = useState(true);
 
   return (
@@ -434,11 +1151,16 @@ export default function WebGPUImage({
       {isLoading && (
         <div className="absolute inset-0 bg-gray-200 animate-pulse" />
       )}
-      <WebGPURenderer
+      <ForwardedRenderer
+        ref={ref}
         src={src}
         className={className}
+        compositor={compositor}
+        {...params}
         onLoad={() => setIsLoading(false)}
       />
     </div>
   );
 }
+
+export default forwardRef(WebGPUImage);
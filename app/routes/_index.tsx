@@ -40,7 +40,13 @@ export default function Index() {
       <Suspense fallback={<div>Loading...</div>}>
         <div className="grid grid-cols-3 gap-4 mt-4">
           {images.map((img) => (
-            <WebGPUImage key={img.id} src={img.src} className="w-full h-auto" />
+            <WebGPUImage
+              key={img.id}
+              src={img.src}
+              className="w-full h-auto"
+              compositor
+              loading="lazy"
+            />
           ))}
         </div>
       </Suspense>
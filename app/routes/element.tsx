@@ -0,0 +1,61 @@
+import type { MetaFunction } from "@remix-run/node";
+import { useEffect, useRef, useState } from "react";
+import {
+  type WebGPUImage,
+  type WebGPUImageTransitionDetail,
+} from "../../web-component/webgpu-image.js";
+
+const slides = [
+  "https://picsum.photos/id/10/800/500",
+  "https://picsum.photos/id/15/800/500",
+  "https://picsum.photos/id/29/800/500",
+];
+
+export const meta: MetaFunction = () => {
+  return [
+    { title: "WebGPU Image element" },
+    { name: "description", content: "The <webgpu-image> custom element" },
+  ];
+};
+
+// Server rendered as plain markup, and upgraded once the element's module
+// has loaded in the browser
+export default function Element() {
+  const ref = useRef<WebGPUImage>(null);
+  const [slide, setSlide] = useState(0);
+
+  useEffect(() => {
+    import("../../web-component/webgpu-image.js");
+  }, []);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+    const handleTransitionEnd = (
+      event: CustomEvent<WebGPUImageTransitionDetail>
+    ) => setSlide(event.detail.slide);
+    element.addEventListener("transitionend", handleTransitionEnd);
+    return () =>
+      element.removeEventListener("transitionend", handleTransitionEnd);
+  }, []);
+
+  return (
+    <div className="main p-4">
+      <h1>{"<webgpu-image>"}</h1>
+      <webgpu-image
+        ref={ref}
+        className="w-full max-w-3xl mt-4"
+        slides={slides.join(" ")}
+        interval={4000}
+        transition="dissolve"
+        effect="vignette"
+        strength={0.6}
+        fit="cover"
+        loading="lazy"
+      />
+      <p className="mt-2">
+        Slide {slide + 1} of {slides.length}
+      </p>
+    </div>
+  );
+}
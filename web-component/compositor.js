@@ -0,0 +1,223 @@
+import { deviceManager } from "./device-manager.js";
+
+export const IDENTITY_TRANSFORM = new Float32Array([1, 1, 0, 0]);
+
+/**
+ * @typedef {object} CompositorItem
+ * @property {Element} element - DOM node whose client rect is drawn into.
+ * @property {(transform: Float32Array) => void} update - Called before the
+ *   pass with the clip-space `[scaleX, scaleY, offsetX, offsetY]` that maps
+ *   the full-screen quad onto the element inside the current viewport.
+ * @property {(passEncoder: GPURenderPassEncoder) => void} draw
+ * @property {(commandEncoder: GPUCommandEncoder) => void} [encode] - Records
+ *   any passes the item needs before the shared pass begins, such as the
+ *   intermediate passes of a `PassGraph`.
+ * @property {() => boolean} [needsRedraw] - Whether the item has changed
+ *   since it was last drawn. Items without it are redrawn every frame.
+ */
+
+/**
+ * Draws every registered item into one fixed, full-viewport canvas, each
+ * one clipped to its DOM rect with a viewport and scissor rect, using a
+ * single command encoder and requestAnimationFrame loop per page. Frames
+ * where no item changed and nothing moved are skipped, leaving the canvas
+ * showing the last one.
+ */
+class Compositor {
+  constructor() {
+    /** @type {Set<CompositorItem>} */
+    this.items = new Set();
+    /** @type {Promise<void> | null} */
+    this.ready = null;
+    /** @type {HTMLCanvasElement | null} */
+    this.canvas = null;
+    /** @type {GPUCanvasContext | null} */
+    this.context = null;
+    /** @type {GPUDevice | null} */
+    this.device = null;
+    this.animationFrame = 0;
+    this.transform = new Float32Array(4);
+    /** Canvas size and item rects at the last drawn frame */
+    this.layout = "";
+    /**
+     * Stacking order of the canvas, which must sit above the elements it
+     * draws into. Set it, like `container`, before the first item is added.
+     */
+    this.zIndex = 1000;
+    /**
+     * Where the canvas is mounted, `document.body` if null. A container
+     * creating a stacking context keeps the canvas's `zIndex` inside it.
+     * @type {Element | null}
+     */
+    this.container = null;
+
+    deviceManager.addEventListener("devicelost", () => {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = 0;
+    });
+    deviceManager.addEventListener("devicerestored", (event) => {
+      if (!this.device || !this.context) return;
+      this.device = event.detail.device;
+      this.context.configure({
+        device: this.device,
+        format: this.format,
+        alphaMode: "premultiplied",
+      });
+      this.layout = "";
+      this.render();
+    });
+  }
+
+  /**
+   * @param {CompositorItem} item
+   * @returns {Promise<void>}
+   */
+  async add(item) {
+    this.items.add(item);
+    if (!this.ready) {
+      this.ready = this.start().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  /**
+   * @param {CompositorItem} item
+   */
+  remove(item) {
+    if (!this.items.delete(item) || this.items.size > 0 || !this.ready) return;
+    this.ready.then(
+      () => {
+        if (this.items.size > 0) return;
+        this.ready = null;
+        this.stop();
+      },
+      () => {}
+    );
+  }
+
+  async start() {
+    this.device = await deviceManager.acquire();
+    this.format = navigator.gpu.getPreferredCanvasFormat();
+
+    this.canvas = document.createElement("canvas");
+    Object.assign(this.canvas.style, {
+      position: "fixed",
+      inset: "0",
+      width: "100%",
+      height: "100%",
+      pointerEvents: "none",
+      zIndex: String(this.zIndex),
+    });
+    this.canvas.setAttribute("aria-hidden", "true");
+    (this.container ?? document.body).appendChild(this.canvas);
+
+    this.context = this.canvas.getContext("webgpu");
+    if (!this.context) {
+      this.stop();
+      throw new Error("Failed to get WebGPU context");
+    }
+    this.context.configure({
+      device: this.device,
+      format: this.format,
+      alphaMode: "premultiplied",
+    });
+    this.render();
+  }
+
+  stop() {
+    cancelAnimationFrame(this.animationFrame);
+    this.animationFrame = 0;
+    this.context?.unconfigure();
+    this.canvas?.remove();
+    this.context = null;
+    this.canvas = null;
+    this.layout = "";
+    if (this.device) {
+      this.device = null;
+      deviceManager.release();
+    }
+  }
+
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.floor(this.canvas.clientWidth * dpr));
+    const height = Math.max(1, Math.floor(this.canvas.clientHeight * dpr));
+    if (this.canvas.width !== width) this.canvas.width = width;
+    if (this.canvas.height !== height) this.canvas.height = height;
+    return dpr;
+  }
+
+  render() {
+    this.drawFrame();
+    this.animationFrame = requestAnimationFrame(() => this.render());
+  }
+
+  drawFrame() {
+    const dpr = this.resize();
+    const { width, height } = this.canvas;
+
+    const visible = [];
+    for (const item of this.items) {
+      const rect = item.element.getBoundingClientRect();
+      const x = rect.left * dpr;
+      const y = rect.top * dpr;
+      const w = rect.width * dpr;
+      const h = rect.height * dpr;
+
+      // Viewports must stay inside the attachment, so partially visible
+      // items get a clipped viewport and a transform that keeps the quad
+      // anchored to the full element rect.
+      const left = Math.max(0, Math.floor(x));
+      const top = Math.max(0, Math.floor(y));
+      const right = Math.min(width, Math.ceil(x + w));
+      const bottom = Math.min(height, Math.ceil(y + h));
+      if (right <= left || bottom <= top) continue;
+
+      visible.push({ item, x, y, w, h, left, top, right, bottom });
+    }
+
+    // Every item is asked, so each one's pending invalidation is consumed
+    const changed = visible.map(({ item }) => item.needsRedraw?.() ?? true);
+    const layout = [width, height]
+      .concat(...visible.map(({ x, y, w, h }) => [x, y, w, h]))
+      .join();
+    if (layout === this.layout && !changed.includes(true)) return;
+    this.layout = layout;
+
+    const commandEncoder = this.device.createCommandEncoder();
+    for (const { item, x, y, w, h, left, top, right, bottom } of visible) {
+      const viewportWidth = right - left;
+      const viewportHeight = bottom - top;
+      this.transform[0] = w / viewportWidth;
+      this.transform[1] = h / viewportHeight;
+      this.transform[2] = (2 * (x - left) + w) / viewportWidth - 1;
+      this.transform[3] = 1 - (2 * (y - top) + h) / viewportHeight;
+      item.update(this.transform);
+      item.encode?.(commandEncoder);
+    }
+
+    const passEncoder = commandEncoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: this.context.getCurrentTexture().createView(),
+          clearValue: { r: 0, g: 0, b: 0, a: 0 },
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    });
+    for (const { item, left, top, right, bottom } of visible) {
+      passEncoder.setViewport(left, top, right - left, bottom - top, 0, 1);
+      passEncoder.setScissorRect(left, top, right - left, bottom - top);
+      item.draw(passEncoder);
+    }
+
+    passEncoder.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+}
+
+export const compositor = new Compositor();
@@ -0,0 +1,184 @@
+/**
+ * Parses 3D color lookup tables: Adobe/Resolve `.cube` files and 2D strip
+ * images. Pure JS with no DOM or GPU access, so it runs anywhere.
+ */
+
+/**
+ * @typedef {object} LUT
+ * @property {string} title
+ * @property {number} size - entries along each axis
+ * @property {[number, number, number]} domainMin - input color mapped to
+ *   the first entry
+ * @property {[number, number, number]} domainMax - input color mapped to
+ *   the last entry
+ * @property {Float32Array} data - RGBA, `size`^3 entries with red varying
+ *   fastest, then green, then blue
+ */
+
+// Covers every size in common use; larger tables are more likely mistakes
+const MAX_SIZE = 256;
+
+/**
+ * @param {string} line
+ * @param {number} lineNumber
+ * @param {number} count
+ * @returns {number[]}
+ */
+function parseNumbers(line, lineNumber, count) {
+  const values = line.trim().split(/\s+/).map(Number);
+  if (values.length !== count || values.some((value) => !isFinite(value))) {
+    throw new Error(
+      `Line ${lineNumber}: expected ${count} numbers, got "${line.trim()}"`
+    );
+  }
+  return values;
+}
+
+/**
+ * Cuts a `#` comment off, unless the `#` is inside quotes, as in a title.
+ * @param {string} line
+ */
+function stripComment(line) {
+  let isQuoted = false;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') isQuoted = !isQuoted;
+    if (line[index] === "#" && !isQuoted) return line.slice(0, index);
+  }
+  return line;
+}
+
+// Those of the spec we act on; other keywords, like Resolve's
+// `LUT_IN_VIDEO_RANGE`, are skipped
+const KEYWORDS = new Set([
+  "TITLE",
+  "LUT_3D_SIZE",
+  "DOMAIN_MIN",
+  "DOMAIN_MAX",
+  "LUT_3D_INPUT_RANGE",
+  "LUT_1D_SIZE",
+]);
+
+/**
+ * Parses the text of a `.cube` file. 1D tables aren't supported.
+ * @param {string} text
+ * @returns {LUT}
+ */
+export function parseCubeLUT(text) {
+  let title = "";
+  let size = 0;
+  /** @type {[number, number, number]} */
+  let domainMin = [0, 0, 0];
+  /** @type {[number, number, number]} */
+  let domainMax = [1, 1, 1];
+  /** @type {Float32Array | null} */
+  let data = null;
+  let entries = 0;
+
+  const lines = text.split(/\r\n|\r|\n/);
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const line = stripComment(lines[index]).trim();
+    if (!line) continue;
+    const [keyword] = line.split(/\s+/, 1);
+    const rest = line.slice(keyword.length);
+
+    if (/^[-+.\d]/.test(keyword)) {
+      if (!data) {
+        throw new Error(`Line ${lineNumber}: table data before LUT_3D_SIZE`);
+      }
+      if (entries >= size ** 3) {
+        throw new Error(`Line ${lineNumber}: more than ${size ** 3} entries`);
+      }
+      data.set([...parseNumbers(line, lineNumber, 3), 1], entries * 4);
+      entries++;
+      continue;
+    }
+    if (!KEYWORDS.has(keyword)) continue;
+    if (entries > 0) {
+      throw new Error(`Line ${lineNumber}: "${keyword}" after table data`);
+    }
+    switch (keyword) {
+      case "TITLE":
+        title = rest.trim().replace(/^"(.*)"$/, "$1");
+        break;
+      case "LUT_3D_SIZE": {
+        const [value] = parseNumbers(rest, lineNumber, 1);
+        if (!Number.isInteger(value) || value < 2 || value > MAX_SIZE) {
+          throw new Error(
+            `Line ${lineNumber}: LUT_3D_SIZE must be an integer from 2 to ${MAX_SIZE}`
+          );
+        }
+        size = value;
+        data = new Float32Array(size ** 3 * 4);
+        break;
+      }
+      case "DOMAIN_MIN":
+        domainMin = /** @type {[number, number, number]} */ (
+          parseNumbers(rest, lineNumber, 3)
+        );
+        break;
+      case "DOMAIN_MAX":
+        domainMax = /** @type {[number, number, number]} */ (
+          parseNumbers(rest, lineNumber, 3)
+        );
+        break;
+      // Resolve's single-value form of the domain
+      case "LUT_3D_INPUT_RANGE": {
+        const [min, max] = parseNumbers(rest, lineNumber, 2);
+        domainMin = [min, min, min];
+        domainMax = [max, max, max];
+        break;
+      }
+      case "LUT_1D_SIZE":
+        throw new Error(`Line ${lineNumber}: 1D LUTs aren't supported`);
+    }
+  }
+
+  if (!data) throw new Error("Missing LUT_3D_SIZE");
+  if (entries !== size ** 3) {
+    throw new Error(`Expected ${size ** 3} entries, got ${entries}`);
+  }
+  if (domainMin.some((min, axis) => !(min < domainMax[axis]))) {
+    throw new Error("DOMAIN_MIN must be below DOMAIN_MAX");
+  }
+  return { title, size, domainMin, domainMax, data };
+}
+
+/**
+ * Decodes a 2D LUT image: `size` tiles of `size` x `size` pixels, one per
+ * blue step, with red increasing to the right and green downwards. Tiles
+ * run left to right, wrapping into rows, so both the 256x16 strip and the
+ * 512x512 8x8 grid layouts work.
+ * @param {{ data: ArrayLike<number>, width: number, height: number }} image -
+ *   RGBA, 8 bits per channel, like `ImageData`
+ * @returns {LUT}
+ */
+export function decodeLUTImage({ data, width, height }) {
+  const size = Math.round(Math.cbrt(width * height));
+  if (size < 2 || size ** 3 !== width * height || width % size !== 0) {
+    throw new Error(`A ${width}x${height} image isn't a LUT layout`);
+  }
+  const columns = width / size;
+  const table = new Float32Array(size ** 3 * 4);
+  for (let blue = 0; blue < size; blue++) {
+    const tileX = (blue % columns) * size;
+    const tileY = Math.floor(blue / columns) * size;
+    for (let green = 0; green < size; green++) {
+      for (let red = 0; red < size; red++) {
+        const pixel = ((tileY + green) * width + tileX + red) * 4;
+        const entry = ((blue * size + green) * size + red) * 4;
+        for (let channel = 0; channel < 3; channel++) {
+          table[entry + channel] = data[pixel + channel] / 255;
+        }
+        table[entry + 3] = 1;
+      }
+    }
+  }
+  return {
+    title: "",
+    size,
+    domainMin: [0, 0, 0],
+    domainMax: [1, 1, 1],
+    data: table,
+  };
+}
@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { decodeLUTImage, parseCubeLUT } from "./cube-lut.js";
+
+// The identity table of size 2, red varying fastest
+const IDENTITY_ROWS = [
+  "0 0 0",
+  "1 0 0",
+  "0 1 0",
+  "1 1 0",
+  "0 0 1",
+  "1 0 1",
+  "0 1 1",
+  "1 1 1",
+];
+
+/**
+ * @param {string[]} header
+ * @param {string[]} [rows]
+ */
+const cube = (header, rows = IDENTITY_ROWS) => [...header, ...rows].join("\n");
+
+describe("parseCubeLUT", () => {
+  it("parses the size, title and table", () => {
+    const lut = parseCubeLUT(cube(['TITLE "Identity"', "LUT_3D_SIZE 2"]));
+    assert.equal(lut.title, "Identity");
+    assert.equal(lut.size, 2);
+    assert.deepEqual(lut.domainMin, [0, 0, 0]);
+    assert.deepEqual(lut.domainMax, [1, 1, 1]);
+    assert.deepEqual([...lut.data.slice(4, 8)], [1, 0, 0, 1]);
+    assert.deepEqual([...lut.data.slice(28, 32)], [1, 1, 1, 1]);
+  });
+
+  it("keeps a # inside a quoted title", () => {
+    const lut = parseCubeLUT(
+      cube(['TITLE "Grade #2" # the second pass', "LUT_3D_SIZE 2"])
+    );
+    assert.equal(lut.title, "Grade #2");
+  });
+
+  it("strips comments on their own lines and after values", () => {
+    const lut = parseCubeLUT(
+      cube(["# exported by hand", "LUT_3D_SIZE 2 # two entries per axis"])
+    );
+    assert.equal(lut.size, 2);
+  });
+
+  it("skips keywords it doesn't know", () => {
+    const lut = parseCubeLUT(
+      cube([
+        "LUT_IN_VIDEO_RANGE",
+        "LUT_OUT_VIDEO_RANGE",
+        "LUT_1D_INPUT_RANGE 0 1",
+        "LUT_3D_SIZE 2",
+      ])
+    );
+    assert.equal(lut.size, 2);
+  });
+
+  it("reads the domain, in either form", () => {
+    const bounds = parseCubeLUT(
+      cube(["LUT_3D_SIZE 2", "DOMAIN_MIN 0 0.1 0.2", "DOMAIN_MAX 1 2 3"])
+    );
+    assert.deepEqual(bounds.domainMin, [0, 0.1, 0.2]);
+    assert.deepEqual(bounds.domainMax, [1, 2, 3]);
+    const range = parseCubeLUT(
+      cube(["LUT_3D_SIZE 2", "LUT_3D_INPUT_RANGE -0.5 1.5"])
+    );
+    assert.deepEqual(range.domainMin, [-0.5, -0.5, -0.5]);
+    assert.deepEqual(range.domainMax, [1.5, 1.5, 1.5]);
+  });
+
+  it("accepts CRLF line endings", () => {
+    const lut = parseCubeLUT(["LUT_3D_SIZE 2", ...IDENTITY_ROWS].join("\r\n"));
+    assert.equal(lut.size, 2);
+  });
+
+  it("rejects 1D tables", () => {
+    assert.throws(
+      () => parseCubeLUT(cube(["LUT_1D_SIZE 2"], ["0 0 0", "1 1 1"])),
+      /1D LUTs aren't supported/
+    );
+  });
+
+  it("rejects a wrong number of entries", () => {
+    assert.throws(
+      () => parseCubeLUT(cube(["LUT_3D_SIZE 2"], IDENTITY_ROWS.slice(1))),
+      /Expected 8 entries, got 7/
+    );
+    assert.throws(
+      () => parseCubeLUT(cube(["LUT_3D_SIZE 2"], [...IDENTITY_ROWS, "1 1 1"])),
+      /Line 10: more than 8 entries/
+    );
+  });
+
+  it("rejects malformed rows and sizes", () => {
+    assert.throws(
+      () => parseCubeLUT(cube(["LUT_3D_SIZE 2"], ["0 0", ...IDENTITY_ROWS])),
+      /Line 2: expected 3 numbers/
+    );
+    assert.throws(
+      () => parseCubeLUT(cube(["LUT_3D_SIZE 1"])),
+      /LUT_3D_SIZE must be an integer/
+    );
+    assert.throws(() => parseCubeLUT(cube([])), /table data before/);
+  });
+
+  it("rejects keywords after the table", () => {
+    assert.throws(
+      () =>
+        parseCubeLUT(cube(["LUT_3D_SIZE 2"], [...IDENTITY_ROWS, "TITLE x"])),
+      /"TITLE" after table data/
+    );
+  });
+
+  it("rejects an empty domain", () => {
+    assert.throws(
+      () =>
+        parseCubeLUT(
+          cube(["LUT_3D_SIZE 2", "DOMAIN_MIN 1 0 0", "DOMAIN_MAX 1 1 1"])
+        ),
+      /DOMAIN_MIN must be below DOMAIN_MAX/
+    );
+  });
+});
+
+describe("decodeLUTImage", () => {
+  it("reads strips, one tile per blue step", () => {
+    // A 4x2 strip: two 2x2 tiles
+    const image = { width: 4, height: 2, data: new Uint8Array(4 * 2 * 4) };
+    // Red 1, green 0, blue 1: the second tile's top right pixel
+    image.data.set([255, 0, 255, 255], 3 * 4);
+    const lut = decodeLUTImage(image);
+    assert.equal(lut.size, 2);
+    const entry = ((1 * 2 + 0) * 2 + 1) * 4;
+    assert.deepEqual([...lut.data.slice(entry, entry + 4)], [1, 0, 1, 1]);
+  });
+
+  it("rejects sizes that aren't a LUT layout", () => {
+    assert.throws(
+      () => decodeLUTImage({ width: 3, height: 3, data: new Uint8Array(36) }),
+      /isn't a LUT layout/
+    );
+  });
+});
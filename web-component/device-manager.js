@@ -0,0 +1,352 @@
+/**
+ * Raised when a shader module or pipeline fails to compile. `messages` are
+ * the raw compilation messages, with line numbers in the full module.
+ */
+export class ShaderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Pick<GPUCompilationMessage, "message" | "type" | "lineNum" | "linePos">[]} messages
+   */
+  constructor(message, messages) {
+    super(message);
+    this.name = "ShaderError";
+    this.messages = messages;
+  }
+}
+
+/**
+ * Hands out a single GPUDevice shared by every renderer on the page. The
+ * objects that only depend on it are cached by `getDeviceCache()`.
+ *
+ * When the device is lost while references are held, a `devicelost` event
+ * fires, a replacement is requested, and `devicerestored` fires with it as
+ * `detail.device`; holders rebuild their own resources from there.
+ */
+export class DeviceManager extends EventTarget {
+  /**
+   * @param {{ gpu?: GPU }} [options] - `gpu` defaults to `navigator.gpu`;
+   *   pass a mock to drive the manager in tests.
+   */
+  constructor({ gpu } = {}) {
+    super();
+    this.gpu = gpu;
+    /** @type {GPUDevice | null} */
+    this.device = null;
+    /** @type {Promise<GPUDevice> | null} */
+    this.devicePromise = null;
+    this.refCount = 0;
+  }
+
+  /**
+   * Resolves with the shared device and takes a reference on it. Every call
+   * must be paired with `release()`.
+   * @returns {Promise<GPUDevice>}
+   */
+  async acquire() {
+    this.refCount++;
+    try {
+      return await this.requestDevice();
+    } catch (error) {
+      this.refCount--;
+      throw error;
+    }
+  }
+
+  release() {
+    if (this.refCount === 0) return;
+    this.refCount--;
+    if (this.refCount > 0 || !this.devicePromise) return;
+
+    const pending = this.devicePromise;
+    this.devicePromise = null;
+    this.device = null;
+    pending.then(
+      (device) => device.destroy(),
+      () => {}
+    );
+  }
+
+  requestDevice() {
+    if (!this.devicePromise) {
+      const pending = this.initDevice().then(
+        (device) => {
+          if (this.devicePromise === pending) this.device = device;
+          device.lost.then((info) => this.handleDeviceLost(device, info));
+          return device;
+        },
+        (error) => {
+          if (this.devicePromise === pending) this.devicePromise = null;
+          throw error;
+        }
+      );
+      this.devicePromise = pending;
+    }
+    return this.devicePromise;
+  }
+
+  async handleDeviceLost(device, info) {
+    if (info.reason === "destroyed" || device !== this.device) return;
+    console.warn("GPUDevice lost:", info.message);
+    this.device = null;
+    this.devicePromise = null;
+    this.dispatchEvent(new CustomEvent("devicelost", { detail: { info } }));
+    if (this.refCount === 0) return;
+
+    try {
+      const restored = await this.requestDevice();
+      this.dispatchEvent(
+        new CustomEvent("devicerestored", { detail: { device: restored } })
+      );
+    } catch (error) {
+      console.error("Failed to restore the GPUDevice:", error);
+    }
+  }
+
+  async initDevice() {
+    const gpu =
+      this.gpu ?? (typeof navigator !== "undefined" ? navigator.gpu : null);
+    if (!gpu) {
+      throw new Error(
+        "Your browser doesn't support WebGPU. Please try a compatible browser like Chrome Canary."
+      );
+    }
+    const adapter = await gpu.requestAdapter();
+    if (!adapter) {
+      throw new Error(
+        "No WebGPU adapter found. Your GPU might not be supported."
+      );
+    }
+    return await adapter.requestDevice();
+  }
+}
+
+/**
+ * Caches the objects that only depend on a device: samplers, shader
+ * modules, bind group layouts, render and compute pipelines and
+ * placeholder textures. Get a device's with `getDeviceCache()`, so that
+ * everything drawing with the device shares it.
+ */
+export class DeviceCache {
+  /**
+   * @param {GPUDevice} device
+   */
+  constructor(device) {
+    this.device = device;
+    /** @type {Map<string, GPUSampler>} */
+    this.samplers = new Map();
+    /** @type {Map<string, GPUShaderModule>} */
+    this.shaderModules = new Map();
+    /** @type {Map<string, GPUBindGroupLayout>} */
+    this.bindGroupLayouts = new Map();
+    /** @type {Map<string, Promise<GPURenderPipeline>>} */
+    this.pipelines = new Map();
+    /** @type {Map<string, Promise<GPUComputePipeline>>} */
+    this.computePipelines = new Map();
+    /** @type {WeakMap<GPUBindGroupLayout, number>} */
+    this.layoutIds = new WeakMap();
+    this.nextLayoutId = 0;
+    /** @type {Map<GPUTextureDimension, GPUTexture>} */
+    this.placeholderTextures = new Map();
+  }
+
+  /**
+   * @param {GPUSamplerDescriptor} descriptor
+   * @returns {GPUSampler}
+   */
+  getSampler(descriptor) {
+    const key = JSON.stringify(descriptor);
+    let sampler = this.samplers.get(key);
+    if (!sampler) {
+      sampler = this.device.createSampler(descriptor);
+      this.samplers.set(key, sampler);
+    }
+    return sampler;
+  }
+
+  /**
+   * A 1x1 transparent black texture, bound in place of texture inputs that
+   * aren't loaded yet. Shared, so never destroy it.
+   * @param {GPUTextureDimension} [dimension]
+   * @returns {GPUTexture}
+   */
+  getPlaceholderTexture(dimension = "2d") {
+    let texture = this.placeholderTextures.get(dimension);
+    if (!texture) {
+      // Zero-initialized
+      texture = this.device.createTexture({
+        size: [1, 1, 1],
+        dimension,
+        format: "rgba8unorm",
+        usage: GPUTextureUsage.TEXTURE_BINDING,
+      });
+      this.placeholderTextures.set(dimension, texture);
+    }
+    return texture;
+  }
+
+  /**
+   * @param {string} code
+   * @returns {GPUShaderModule}
+   */
+  getShaderModule(code) {
+    let shaderModule = this.shaderModules.get(code);
+    if (!shaderModule) {
+      shaderModule = this.device.createShaderModule({ code });
+      this.shaderModules.set(code, shaderModule);
+    }
+    return shaderModule;
+  }
+
+  /**
+   * @param {GPUBindGroupLayoutDescriptor} descriptor
+   * @returns {GPUBindGroupLayout}
+   */
+  getBindGroupLayout(descriptor) {
+    const key = JSON.stringify(descriptor);
+    let layout = this.bindGroupLayouts.get(key);
+    if (!layout) {
+      layout = this.device.createBindGroupLayout(descriptor);
+      this.bindGroupLayouts.set(key, layout);
+      this.layoutIds.set(layout, this.nextLayoutId++);
+    }
+    return layout;
+  }
+
+  /**
+   * Pipelines are keyed by shader source, target format and bind group
+   * layout, so identical effects share one pipeline across all instances.
+   * Rejects with a `ShaderError` when the shader doesn't compile.
+   * @param {{
+   *   code: string,
+   *   format: GPUTextureFormat,
+   *   bindGroupLayout: GPUBindGroupLayout,
+   *   vertexBuffers?: GPUVertexBufferLayout[],
+   * }} options
+   * @returns {Promise<GPURenderPipeline>}
+   */
+  getRenderPipeline({ code, format, bindGroupLayout, vertexBuffers = [] }) {
+    const key = [
+      format,
+      this.getLayoutId(bindGroupLayout),
+      JSON.stringify(vertexBuffers),
+      code,
+    ].join("|");
+    let pipeline = this.pipelines.get(key);
+    if (!pipeline) {
+      pipeline = this.createRenderPipeline({
+        code,
+        format,
+        bindGroupLayout,
+        vertexBuffers,
+      });
+      this.pipelines.set(key, pipeline);
+    }
+    return pipeline;
+  }
+
+  /**
+   * Like `getRenderPipeline`, for a module with a `computeMain` entry point.
+   * @param {{ code: string, bindGroupLayout: GPUBindGroupLayout }} options
+   * @returns {Promise<GPUComputePipeline>}
+   */
+  getComputePipeline({ code, bindGroupLayout }) {
+    const key = [this.getLayoutId(bindGroupLayout), code].join("|");
+    let pipeline = this.computePipelines.get(key);
+    if (!pipeline) {
+      pipeline = this.createPipeline(code, (device, shaderModule) =>
+        device.createComputePipelineAsync({
+          layout: device.createPipelineLayout({
+            bindGroupLayouts: [bindGroupLayout],
+          }),
+          compute: { module: shaderModule, entryPoint: "computeMain" },
+        })
+      );
+      this.computePipelines.set(key, pipeline);
+    }
+    return pipeline;
+  }
+
+  /**
+   * @param {GPUBindGroupLayout} bindGroupLayout
+   * @returns {number}
+   */
+  getLayoutId(bindGroupLayout) {
+    let layoutId = this.layoutIds.get(bindGroupLayout);
+    if (layoutId === undefined) {
+      layoutId = this.nextLayoutId++;
+      this.layoutIds.set(bindGroupLayout, layoutId);
+    }
+    return layoutId;
+  }
+
+  createRenderPipeline({ code, format, bindGroupLayout, vertexBuffers }) {
+    return this.createPipeline(code, (device, shaderModule) =>
+      device.createRenderPipelineAsync({
+        layout: device.createPipelineLayout({
+          bindGroupLayouts: [bindGroupLayout],
+        }),
+        vertex: {
+          module: shaderModule,
+          entryPoint: "vertexMain",
+          buffers: vertexBuffers,
+        },
+        fragment: {
+          module: shaderModule,
+          entryPoint: "fragmentMain",
+          targets: [{ format }],
+        },
+        primitive: { topology: "triangle-strip" },
+      })
+    );
+  }
+
+  /**
+   * Compiles `code`, then builds a pipeline from it with `create`. Failures
+   * at either step reject with a `ShaderError`. Both are reported per call,
+   * by the compilation info and the async create's rejection, rather than
+   * through an error scope: scopes are device-wide, and other renderers
+   * keep encoding on the shared device while this one waits.
+   * @template {GPURenderPipeline | GPUComputePipeline} T
+   * @param {string} code
+   * @param {(device: GPUDevice, shaderModule: GPUShaderModule) => Promise<T>} create
+   * @returns {Promise<T>}
+   */
+  async createPipeline(code, create) {
+    const { device } = this;
+    const shaderModule = this.getShaderModule(code);
+    const info = await shaderModule.getCompilationInfo();
+    const errors = info.messages.filter(({ type }) => type === "error");
+    if (errors.length > 0) {
+      throw new ShaderError(errors[0].message, [...info.messages]);
+    }
+
+    try {
+      return await create(device, shaderModule);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new ShaderError(message, [
+        { message, type: "error", lineNum: 0, linePos: 0 },
+      ]);
+    }
+  }
+}
+
+// A lost or released device's cache goes with it
+/** @type {WeakMap<GPUDevice, DeviceCache>} */
+const deviceCaches = new WeakMap();
+
+/**
+ * The cache for `device`, created on first use.
+ * @param {GPUDevice} device
+ * @returns {DeviceCache}
+ */
+export function getDeviceCache(device) {
+  let cache = deviceCaches.get(device);
+  if (!cache) {
+    cache = new DeviceCache(device);
+    deviceCaches.set(device, cache);
+  }
+  return cache;
+}
+
+export const deviceManager = new DeviceManager();
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DeviceManager, getDeviceCache } from "./device-manager.js";
+import { createMockGPU } from "./mock-gpu.js";
+
+/**
+ * Resolves with the next event of `type`.
+ * @param {EventTarget} target
+ * @param {string} type
+ * @returns {Promise<CustomEvent>}
+ */
+const nextEvent = (target, type) =>
+  new Promise((resolve) => {
+    const options = { once: true };
+    target.addEventListener(type, (event) => resolve(event), options);
+  });
+
+describe("DeviceManager", () => {
+  it("shares one device between references", async () => {
+    const gpu = createMockGPU();
+    const manager = new DeviceManager({ gpu: /** @type {any} */ (gpu) });
+    const [first, second] = await Promise.all([
+      manager.acquire(),
+      manager.acquire(),
+    ]);
+    assert.equal(first, second);
+    assert.equal(gpu.devices.length, 1);
+    manager.release();
+    assert.equal(first.isDestroyed, false);
+    manager.release();
+    await Promise.resolve();
+    assert.equal(first.isDestroyed, true);
+  });
+
+  it("restores a lost device and the resources built on it", async () => {
+    const gpu = createMockGPU();
+    const manager = new DeviceManager({ gpu: /** @type {any} */ (gpu) });
+    const events = [];
+    manager.addEventListener("devicelost", () => events.push("devicelost"));
+    const lost = await manager.acquire();
+    const sampler = getDeviceCache(lost).getSampler({});
+
+    const restoring = nextEvent(manager, "devicerestored");
+    lost.lose("GPU reset");
+    const { detail } = await restoring;
+    assert.deepEqual(events, ["devicelost"]);
+    assert.equal(gpu.devices.length, 2);
+    assert.equal(detail.device, gpu.devices[1]);
+    assert.equal(await manager.acquire(), detail.device);
+
+    // What holders rebuild comes from the new device
+    const rebuilt = getDeviceCache(detail.device).getSampler({});
+    assert.notEqual(rebuilt, sampler);
+    assert.equal(rebuilt.device, detail.device);
+  });
+
+  it("ignores devices it destroyed itself", async () => {
+    const gpu = createMockGPU();
+    const manager = new DeviceManager({ gpu: /** @type {any} */ (gpu) });
+    manager.addEventListener("devicelost", () =>
+      assert.fail("a released device isn't lost")
+    );
+    const device = await manager.acquire();
+    manager.release();
+    await new Promise((resolve) => setTimeout(resolve));
+    assert.equal(device.isDestroyed, true);
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * Named effect presets. Each is a fragment snippet with its own parameter
+ * schema, turned into `PassDefinition`s by `createEffectPasses` so a list
+ * of presets chains through a `PassGraph`.
+ */
+
+/**
+ * @typedef {object} EffectPreset
+ * @property {string} [fragment] - snippet, as accepted by `buildShader`
+ * @property {string} [compute] - in place of `fragment`; this and the
+ *   other compute fields are as in `PassDefinition`
+ * @property {import("./shader.js").WorkgroupSize} [workgroupSize]
+ * @property {Record<string, number>} [buffers]
+ * @property {boolean} [analysis]
+ * @property {import("./uniforms.js").ParamSchema} [params]
+ * @property {string[]} [textures] - see `PassDefinition`
+ * @property {boolean} [animated] - see `PassDefinition`
+ * @property {Record<string, string>[]} [passes] - runs the preset once per
+ *   entry, with its WGSL expressions declared as constants ahead of the
+ *   snippet, such as the axis of each half of a separable blur. Being no
+ *   parameters, they can't be overwritten. The extra passes get `-1`, `-2`,
+ *   ... appended to their name.
+ */
+
+/** @type {Map<string, EffectPreset>} */
+const presets = new Map();
+
+/**
+ * Makes a preset available to `effect="name"`. Registering an existing
+ * name replaces it for graphs built afterwards.
+ * @param {string} name - kebab-case, e.g. `"chromatic-aberration"`
+ * @param {EffectPreset} preset
+ */
+export function registerEffect(name, preset) {
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Effect names must be kebab-case, got "${name}"`);
+  }
+  presets.set(name, preset);
+}
+
+/**
+ * @param {string} name
+ * @returns {EffectPreset | undefined}
+ */
+export const getEffect = (name) => presets.get(name);
+
+export const getEffectNames = () => [...presets.keys()];
+
+/**
+ * Accepts a single name, a space or comma separated list, or an array.
+ * @param {string | string[]} effect
+ * @returns {string[]}
+ */
+export const parseEffectList = (effect) =>
+  typeof effect === "string" ? effect.split(/[\s,]+/).filter(Boolean) : effect;
+
+/**
+ * One pass per preset, in order, or more for presets with `passes`. Passes
+ * are named after their preset, with the index appended when a preset
+ * repeats.
+ * @param {string | string[]} effect
+ * @param {Record<string, import("./uniforms.js").ParamValue>} [values] -
+ *   applied to every pass whose preset declares the parameter
+ * @returns {import("./pass-graph.js").PassDefinition[]}
+ */
+export function createEffectPasses(effect, values = {}) {
+  const names = parseEffectList(effect);
+  return names.flatMap((name, index) => {
+    const preset = presets.get(name);
+    if (!preset) throw new Error(`Unknown effect "${name}"`);
+    const { passes = [{}], ...definition } = preset;
+    const params = preset.params ?? {};
+    const passName = names.indexOf(name) === index ? name : `${name}${index}`;
+    const presetValues = Object.fromEntries(
+      Object.entries(values).filter(([param]) => param in params)
+    );
+    return passes.map((constants, pass) => {
+      const declarations = Object.entries(constants)
+        .map(([constant, value]) => `const ${constant} = ${value};\n`)
+        .join("");
+      return {
+        ...definition,
+        ...(definition.fragment && {
+          fragment: declarations + definition.fragment,
+        }),
+        ...(definition.compute && {
+          compute: declarations + definition.compute,
+        }),
+        name: pass === 0 ? passName : `${passName}-${pass}`,
+        params,
+        values: presetValues,
+      };
+    });
+  });
+}
+
+registerEffect("blur", {
+  params: { radius: { type: "float", default: 4, min: 0, max: 64 } },
+  fragment: `
+    let texel = uniforms.radius * 0.5 / vec2f(textureDimensions(tex));
+    var color = vec4f(0.0);
+    var total = 0.0;
+    for (var x = -2; x <= 2; x++) {
+      for (var y = -2; y <= 2; y++) {
+        let offset = vec2f(f32(x), f32(y));
+        let weight = exp(-dot(offset, offset) / 4.0);
+        color += sampleImage(uv + offset * texel) * weight;
+        total += weight;
+      }
+    }
+    return color / total;
+  `,
+});
+
+registerEffect("chromatic-aberration", {
+  params: { amount: { type: "float", default: 0.01, min: 0, max: 0.2 } },
+  fragment: `
+    let offset = (uv - 0.5) * uniforms.amount;
+    let base = sampleImage(uv);
+    return vec4f(
+      sampleImage(uv + offset).r,
+      base.g,
+      sampleImage(uv - offset).b,
+      base.a
+    );
+  `,
+});
+
+registerEffect("pixelate", {
+  params: { size: { type: "float", default: 8, min: 1, max: 256 } },
+  fragment: `
+    let cells = max(uniforms.resolution / uniforms.size, vec2f(1.0));
+    return sampleImage((floor(uv * cells) + 0.5) / cells);
+  `,
+});
+
+registerEffect("duotone", {
+  params: {
+    shadow: { type: "color", default: "#1d1a4f" },
+    highlight: { type: "color", default: "#f7c873" },
+  },
+  fragment: `
+    let color = sampleImage(uv);
+    let toned = mix(uniforms.shadow, uniforms.highlight, luminance(color.rgb));
+    return vec4f(toned.rgb, color.a);
+  `,
+});
+
+registerEffect("ripple", {
+  params: {
+    center: { type: "vec2", default: [0.5, 0.5] },
+    amplitude: { type: "float", default: 0.01, min: 0, max: 0.2 },
+    frequency: { type: "float", default: 40, min: 0, max: 200 },
+    speed: { type: "float", default: 4, min: 0, max: 50 },
+  },
+  fragment: `
+    let toCenter = uv - uniforms.center;
+    let dist = length(toCenter);
+    let wave = sin(dist * uniforms.frequency - uniforms.time * uniforms.speed);
+    let direction = select(vec2f(0.0), toCenter / dist, dist > 0.0);
+    return sampleImage(uv + direction * wave * uniforms.amplitude);
+  `,
+});
+
+registerEffect("rgb-split", {
+  params: { offset: { type: "vec2", default: [0.01, 0] } },
+  fragment: `
+    let base = sampleImage(uv);
+    return vec4f(
+      sampleImage(uv + uniforms.offset).r,
+      base.g,
+      sampleImage(uv - uniforms.offset).b,
+      base.a
+    );
+  `,
+});
+
+registerEffect("vignette", {
+  params: {
+    strength: { type: "float", default: 0.5, min: 0, max: 1 },
+    radius: { type: "float", default: 0.75, min: 0 },
+    softness: { type: "float", default: 0.45, min: 0 },
+  },
+  fragment: `
+    let color = sampleImage(uv);
+    let dist = distance(uv, vec2f(0.5));
+    let shade = smoothstep(uniforms.radius, uniforms.radius - uniforms.softness, dist);
+    return vec4f(color.rgb * mix(1.0 - uniforms.strength, 1.0, shade), color.a);
+  `,
+});
+
+registerEffect("animated-tint", {
+  params: { speed: { type: "float", default: 1, min: 0, max: 20 } },
+  fragment: `
+    let t = uniforms.time * uniforms.speed;
+    let tint = vec4f(
+      (sin(t) + 1.0) / 2.0,
+      (cos(t) + 1.0) / 2.0,
+      (sin(t + PI) + 1.0) / 2.0,
+      1.0
+    );
+    return sampleImage(uv) * tint;
+  `,
+});
+
+// A soft circle that shows an alternate version of the image: grayscale
+// (alternate 0), blurred (1) or the `reveal` texture (2), such as another
+// colorway. It eases towards the pointer while one is over the element,
+// rests at `center` otherwise, grows while pressed and with scroll
+// progress. `invert` swaps which version is inside the circle.
+registerEffect("reveal", {
+  params: {
+    center: { type: "vec2", default: [0.5, 0.5] },
+    radius: { type: "float", default: 0.25, min: 0 },
+    idleRadius: { type: "float", default: 0, min: 0 },
+    pressRadius: { type: "float", default: 0.1 },
+    scrollRadius: { type: "float", default: 0 },
+    softness: { type: "float", default: 0.1, min: 0 },
+    alternate: { type: "float", default: 0, min: 0, max: 2 },
+    blur: { type: "float", default: 8, min: 0, max: 64 },
+    invert: { type: "bool", default: false },
+  },
+  textures: ["reveal"],
+  fragment: `
+    let image = sampleImage(uv);
+    var other = vec4f(vec3f(luminance(image.rgb)), image.a);
+    if (uniforms.alternate >= 2.0) {
+      other = textureSample(reveal, texSampler, uv);
+    } else if (uniforms.alternate >= 1.0) {
+      let texel = uniforms.blur * 0.5 / vec2f(textureDimensions(tex));
+      other = vec4f(0.0);
+      var total = 0.0;
+      for (var x = -2; x <= 2; x++) {
+        for (var y = -2; y <= 2; y++) {
+          let offset = vec2f(f32(x), f32(y));
+          let weight = exp(-dot(offset, offset) / 4.0);
+          other += sampleImage(uv + offset * texel) * weight;
+          total += weight;
+        }
+      }
+      other /= total;
+    }
+
+    let aspect = vec2f(uniforms.resolution.x / max(uniforms.resolution.y, 1.0), 1.0);
+    let center = mix(uniforms.center, uniforms.pointer, uniforms.hoverAmount);
+    let radius = mix(uniforms.idleRadius, uniforms.radius, uniforms.hoverAmount)
+      + uniforms.pressRadius * uniforms.pressAmount
+      + uniforms.scrollRadius * uniforms.scroll;
+    let dist = distance(uv * aspect, center * aspect);
+    let softness = max(uniforms.softness, 0.0001);
+    var inside = 1.0 - smoothstep(radius - softness, radius, dist);
+    if (uniforms.invert > 0.5) {
+      inside = 1.0 - inside;
+    }
+    return mix(image, other, inside);
+  `,
+});
+
+// Pushes the image around by a displacement map's red and green channels,
+// 0.5 being no offset, at `strength` while hovered and `idleStrength`
+// otherwise. Set the map with `displacement-src`.
+registerEffect("displace", {
+  params: {
+    strength: { type: "float", default: 0.05 },
+    idleStrength: { type: "float", default: 0 },
+  },
+  textures: ["displacement"],
+  fragment: `
+    let map = textureSample(displacement, texSampler, uv);
+    let strength = mix(uniforms.idleStrength, uniforms.strength, uniforms.hoverAmount);
+    // Scaled by alpha, so the image stays put until the map loads
+    let offset = (map.rg - 0.5) * 2.0 * strength * map.a;
+    return sampleImage(uv + offset);
+  `,
+});
+
+// Cuts the image to the shape in `mask-src`: its alpha, or its luminance
+// with `luminance`. Nothing shows until the mask loads.
+registerEffect("mask", {
+  params: {
+    luminance: { type: "bool", default: false },
+    invert: { type: "bool", default: false },
+  },
+  textures: ["mask"],
+  fragment: `
+    let shape = textureSample(mask, texSampler, uv);
+    var coverage = shape.a;
+    if (uniforms.luminance > 0.5) {
+      coverage *= luminance(shape.rgb);
+    }
+    if (uniforms.invert > 0.5) {
+      coverage = 1.0 - coverage;
+    }
+    // Output is premultiplied
+    return sampleImage(uv) * coverage;
+  `,
+});
+
+// Grades through the 3D lookup table in `lut` (see lut.js), mixed with the
+// original by `intensity`. `domainMin` and `domainMax` come from the table.
+// Passes the image through until the table loads.
+registerEffect("lut", {
+  params: {
+    intensity: { type: "float", default: 1, min: 0, max: 1 },
+    domainMin: { type: "vec3", default: [0, 0, 0] },
+    domainMax: { type: "vec3", default: [1, 1, 1] },
+  },
+  textures: ["lut"],
+  fragment: `
+    let color = sampleImage(uv);
+    let size = f32(textureDimensions(lut).x);
+    let range = max(uniforms.domainMax - uniforms.domainMin, vec3f(1e-5));
+    let coord = clamp((color.rgb - uniforms.domainMin) / range, vec3f(0.0), vec3f(1.0));
+    // Through texel centers, so the domain ends land on the end entries
+    let graded = textureSampleLevel(lut, texSampler, coord * (size - 1.0) / size + 0.5 / size, 0.0).rgb;
+    let amount = select(uniforms.intensity, 0.0, size < 2.0);
+    return vec4f(mix(color.rgb, graded, amount), color.a);
+  `,
+});
+
+// Two compute passes, one per axis, so large radii cost 2r samples a pixel
+// rather than the r^2 of a 2D kernel. `radius` is in source pixels, at
+// three standard deviations.
+registerEffect("gaussian-blur", {
+  params: { radius: { type: "float", default: 8, min: 0, max: 256 } },
+  passes: [{ axis: "vec2i(1, 0)" }, { axis: "vec2i(0, 1)" }],
+  compute: `
+    let taps = i32(ceil(uniforms.radius));
+    let sigma = max(uniforms.radius / 3.0, 0.0001);
+    var color = loadImage(pixel);
+    var total = 1.0;
+    for (var i = 1; i <= taps; i++) {
+      let weight = exp(-f32(i * i) / (2.0 * sigma * sigma));
+      color += (loadImage(pixel + axis * i) + loadImage(pixel - axis * i)) * weight;
+      total += 2.0 * weight;
+    }
+    return color / total;
+  `,
+});
+
+// Counts pixels into 256 luminance bins, leaving the image as it is. Read
+// the counts with `readBuffer("histogram")`, e.g. for auto-exposure.
+registerEffect("histogram", {
+  buffers: { histogram: 256 },
+  analysis: true,
+  compute: `
+    let color = loadImage(pixel);
+    let bin = min(u32(clamp(luminance(color.rgb), 0.0, 1.0) * 256.0), 255u);
+    atomicAdd(&histogram[bin], 1u);
+  `,
+});
+
+// Painterly smoothing that keeps edges: each pixel takes the mean of
+// whichever of its four surrounding (radius + 1)^2 quadrants varies least.
+registerEffect("kuwahara", {
+  params: { radius: { type: "float", default: 4, min: 1, max: 16 } },
+  compute: `
+    let radius = i32(uniforms.radius);
+    let count = f32((radius + 1) * (radius + 1));
+    var best = vec3f(0.0);
+    var lowest = 3.4e38;
+    for (var quadrant = 0; quadrant < 4; quadrant++) {
+      let corner = vec2i(
+        select(-1, 1, (quadrant & 1) == 1),
+        select(-1, 1, quadrant > 1)
+      );
+      var sum = vec3f(0.0);
+      var squares = vec3f(0.0);
+      for (var y = 0; y <= radius; y++) {
+        for (var x = 0; x <= radius; x++) {
+          let color = loadImage(pixel + vec2i(x, y) * corner).rgb;
+          sum += color;
+          squares += color * color;
+        }
+      }
+      let mean = sum / count;
+      let variance = squares / count - mean * mean;
+      let total = variance.r + variance.g + variance.b;
+      if (total < lowest) {
+        lowest = total;
+        best = mean;
+      }
+    }
+    return vec4f(best, loadImage(pixel).a);
+  `,
+});
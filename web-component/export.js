@@ -0,0 +1,149 @@
+/**
+ * Renders frames off screen and reads them back from the GPU, for
+ * `export()`.
+ */
+
+/**
+ * @typedef {object} ExportOptions
+ * @property {string} [type] - `"image/png"` (default), `"image/jpeg"`,
+ *   `"image/webp"`, or `"imagedata"` for an `ImageData`
+ * @property {number} [quality] - 0-1, for the lossy types
+ * @property {number} [width] - in pixels, defaulting to the source's size.
+ *   With only one of `width` and `height`, the other keeps the source's
+ *   aspect ratio.
+ * @property {number} [height]
+ */
+
+// copyTextureToBuffer needs rows padded to a multiple of this
+const BYTES_PER_ROW_ALIGNMENT = 256;
+
+/**
+ * @param {ExportOptions} options
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @returns {[number, number]}
+ */
+export function exportSize({ width, height }, sourceWidth, sourceHeight) {
+  const aspect = sourceWidth / sourceHeight;
+  const size = [
+    width ?? (height ? height * aspect : sourceWidth),
+    height ?? (width ? width / aspect : sourceHeight),
+  ].map(Math.round);
+  if (!size.every((side) => side >= 1)) {
+    throw new RangeError(`Can't export at ${size[0]}x${size[1]}`);
+  }
+  return /** @type {[number, number]} */ (size);
+}
+
+/**
+ * Copies a render target into an `ImageData`, dropping the row padding.
+ * The target holds premultiplied alpha, like the canvas, in `rgba8unorm`
+ * or `bgra8unorm`.
+ * @param {GPUDevice} device
+ * @param {GPUTexture} texture
+ * @returns {Promise<ImageData>}
+ */
+async function readTexture(device, texture) {
+  const { width, height, format } = texture;
+  const bytesPerRow =
+    Math.ceil((width * 4) / BYTES_PER_ROW_ALIGNMENT) * BYTES_PER_ROW_ALIGNMENT;
+  const buffer = device.createBuffer({
+    size: bytesPerRow * height,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+  const commandEncoder = device.createCommandEncoder();
+  commandEncoder.copyTextureToBuffer({ texture }, { buffer, bytesPerRow }, [
+    width,
+    height,
+  ]);
+  device.queue.submit([commandEncoder.finish()]);
+
+  try {
+    await buffer.mapAsync(GPUMapMode.READ);
+    const padded = new Uint8Array(buffer.getMappedRange());
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const [red, blue] = format === "bgra8unorm" ? [2, 0] : [0, 2];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const from = y * bytesPerRow + x * 4;
+        const to = (y * width + x) * 4;
+        const alpha = padded[from + 3];
+        // ImageData is unpremultiplied
+        const scale = alpha === 0 ? 0 : 255 / alpha;
+        pixels[to] = padded[from + red] * scale;
+        pixels[to + 1] = padded[from + 1] * scale;
+        pixels[to + 2] = padded[from + blue] * scale;
+        pixels[to + 3] = alpha;
+      }
+    }
+    return new ImageData(pixels, width, height);
+  } finally {
+    buffer.destroy();
+  }
+}
+
+/**
+ * Draws one frame into a texture of its own and reads it back. `encode`
+ * and `draw` are a renderer's, as given to the compositor.
+ * @param {GPUDevice} device
+ * @param {{
+ *   format: GPUTextureFormat,
+ *   width: number,
+ *   height: number,
+ *   encode?: (commandEncoder: GPUCommandEncoder) => void,
+ *   draw: (passEncoder: GPURenderPassEncoder) => void,
+ * }} options - `format` must be the one the renderer's pipelines target
+ * @returns {Promise<ImageData>}
+ */
+export async function renderToImageData(
+  device,
+  { format, width, height, encode, draw }
+) {
+  const limit = device.limits.maxTextureDimension2D;
+  if (width > limit || height > limit) {
+    throw new RangeError(
+      `Can't export at ${width}x${height}; this GPU's limit is ${limit}`
+    );
+  }
+  const texture = device.createTexture({
+    size: [width, height],
+    format,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
+  });
+  try {
+    const commandEncoder = device.createCommandEncoder();
+    encode?.(commandEncoder);
+    const passEncoder = commandEncoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: texture.createView(),
+          clearValue: { r: 0, g: 0, b: 0, a: 0 },
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    });
+    draw(passEncoder);
+    passEncoder.end();
+    device.queue.submit([commandEncoder.finish()]);
+    return await readTexture(device, texture);
+  } finally {
+    texture.destroy();
+  }
+}
+
+/**
+ * Encodes an exported frame as `options.type` asks.
+ * @param {ImageData} imageData
+ * @param {ExportOptions} options
+ * @returns {Promise<Blob | ImageData>}
+ */
+export async function encodeImage(imageData, { type = "image/png", quality }) {
+  if (type === "imagedata") return imageData;
+  const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+  const context = /** @type {OffscreenCanvasRenderingContext2D} */ (
+    canvas.getContext("2d")
+  );
+  context.putImageData(imageData, 0, 0);
+  return canvas.convertToBlob({ type, quality });
+}
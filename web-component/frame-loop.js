@@ -0,0 +1,96 @@
+/**
+ * @typedef {"always" | "demand" | "never"} FrameloopMode
+ */
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {FrameloopMode}
+ */
+export const parseFrameloop = (value) =>
+  value === "demand" || value === "never" ? value : "always";
+
+/**
+ * Schedules frames for one renderer. `always` draws every animation frame;
+ * `demand` draws after `invalidate()`, and every frame while `animated`;
+ * `never` only draws after `invalidate()`.
+ *
+ * Standalone renderers `start()` it to run their own requestAnimationFrame
+ * loop. Renderers drawn by the compositor leave it stopped and report
+ * `takeFrame()` instead.
+ */
+export class FrameLoop {
+  /**
+   * @param {() => void} draw - draws one frame
+   */
+  constructor(draw) {
+    this.draw = draw;
+    /** @type {FrameloopMode} */
+    this.mode = "always";
+    /** The effect or source changes on its own, without invalidation */
+    this.animated = false;
+    this.invalid = true;
+    this.running = false;
+    this.frame = 0;
+    this.tick = this.tick.bind(this);
+  }
+
+  get needsFrame() {
+    return (
+      this.invalid ||
+      this.mode === "always" ||
+      (this.mode === "demand" && this.animated)
+    );
+  }
+
+  /**
+   * @param {FrameloopMode} mode
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.invalidate();
+  }
+
+  /** Requests a frame, whatever the mode */
+  invalidate() {
+    this.invalid = true;
+    this.schedule();
+  }
+
+  /** Requests a frame for a change the renderer saw itself; `never` ignores it */
+  requestFrame() {
+    if (this.mode !== "never") this.invalidate();
+  }
+
+  start() {
+    this.running = true;
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    cancelAnimationFrame(this.frame);
+    this.frame = 0;
+  }
+
+  schedule() {
+    if (!this.running || this.frame || !this.needsFrame) return;
+    this.frame = requestAnimationFrame(this.tick);
+  }
+
+  tick() {
+    this.frame = 0;
+    this.invalid = false;
+    this.draw();
+    this.schedule();
+  }
+
+  /**
+   * For loops driven from elsewhere: whether a frame is due, marking any
+   * pending invalidation as handled.
+   */
+  takeFrame() {
+    const isDue = this.needsFrame;
+    this.invalid = false;
+    return isDue;
+  }
+}
@@ -0,0 +1,18 @@
+import { type DetailedHTMLProps, type HTMLAttributes } from "react";
+import {
+  type WebGPUImage,
+  type WebGPUImageAttributes,
+} from "./webgpu-image.js";
+
+// `<webgpu-image>` in JSX, for React, which sets its props as attributes
+declare module "react" {
+  namespace JSX {
+    interface IntrinsicElements {
+      "webgpu-image": DetailedHTMLProps<
+        HTMLAttributes<WebGPUImage>,
+        WebGPUImage
+      > &
+        WebGPUImageAttributes;
+    }
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Loads color lookup tables for the `lut` texture input and uploads them
+ * as 3D `rgba16float` textures, which filter linearly, so sampling one is
+ * a trilinear lookup.
+ */
+
+import { decodeLUTImage, parseCubeLUT } from "./cube-lut.js";
+
+const CUBE_EXTENSION = /\.cube([?#]|$)/i;
+
+/** @type {Map<string, Promise<import("./cube-lut.js").LUT>>} */
+const luts = new Map();
+
+/**
+ * @param {string} url
+ */
+async function fetchOK(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load LUT: ${url} (${response.status})`);
+  }
+  return response;
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<import("./cube-lut.js").LUT>}
+ */
+async function fetchLUT(url) {
+  const response = await fetchOK(url);
+  if (CUBE_EXTENSION.test(url)) return parseCubeLUT(await response.text());
+
+  // Table entries must come through untouched by color management
+  const bitmap = await createImageBitmap(await response.blob(), {
+    colorSpaceConversion: "none",
+    premultiplyAlpha: "none",
+  });
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = /** @type {OffscreenCanvasRenderingContext2D} */ (
+    canvas.getContext("2d")
+  );
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return decodeLUTImage(
+    context.getImageData(0, 0, canvas.width, canvas.height)
+  );
+}
+
+/**
+ * Loads a `.cube` file, or a 2D LUT image from any other URL. Tables are
+ * small and few, so they stay cached by URL for the page's lifetime.
+ * @param {string} url
+ * @returns {Promise<import("./cube-lut.js").LUT>}
+ */
+export function loadLUT(url) {
+  let lut = luts.get(url);
+  if (!lut) {
+    lut = fetchLUT(url);
+    luts.set(url, lut);
+    // Let a later attempt retry
+    lut.catch(() => luts.delete(url));
+  }
+  return lut;
+}
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+/**
+ * Rounds a float to the nearest half float's bits.
+ * @param {number} value
+ */
+export function toHalfFloat(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  const mantissa = bits & 0x7fffff;
+  if (exponent >= 31) {
+    // Overflow, infinity and NaN
+    const nan = ((bits >>> 23) & 0xff) === 0xff && mantissa !== 0;
+    return sign | 0x7c00 | (nan ? 0x200 : 0);
+  }
+  if (exponent <= 0) {
+    // Subnormal, or zero
+    if (exponent < -10) return sign;
+    const shifted = (mantissa | 0x800000) >> (1 - exponent);
+    return sign | ((shifted + 0x1000) >> 13);
+  }
+  // Rounding may carry into the exponent, which is still correct
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+/**
+ * @param {GPUDevice} device
+ * @param {import("./cube-lut.js").LUT} lut
+ * @returns {GPUTexture}
+ */
+export function createLUTTexture(device, { size, data }) {
+  const texture = device.createTexture({
+    size: [size, size, size],
+    dimension: "3d",
+    format: "rgba16float",
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+  });
+  const halves = Uint16Array.from(data, toHalfFloat);
+  device.queue.writeTexture(
+    { texture },
+    halves,
+    { bytesPerRow: size * 8, rowsPerImage: size },
+    [size, size, size]
+  );
+  return texture;
+}
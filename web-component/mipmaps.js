@@ -0,0 +1,106 @@
+import { getDeviceCache } from "./device-manager.js";
+
+// Each level is drawn from the one above it: a linear sample at the center
+// of a destination texel averages the 2x2 source texels beneath it.
+const MIPMAP_SHADER = `
+@group(0) @binding(0) var texSampler: sampler;
+@group(0) @binding(1) var tex: texture_2d<f32>;
+
+struct VertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) uv: vec2f,
+}
+
+@vertex
+fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+  let corner = vec2f(f32(vertexIndex & 1u), f32(vertexIndex >> 1u));
+  var output: VertexOutput;
+  output.position = vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  output.uv = vec2f(corner.x, 1.0 - corner.y);
+  return output;
+}
+
+@fragment
+fn fragmentMain(@location(0) uv: vec2f) -> @location(0) vec4f {
+  return textureSample(tex, texSampler, uv);
+}
+`;
+
+/** @returns {GPUBindGroupLayoutDescriptor} */
+const mipmapLayoutDescriptor = () => ({
+  entries: [
+    {
+      binding: 0,
+      visibility: GPUShaderStage.FRAGMENT,
+      sampler: { type: "filtering" },
+    },
+    {
+      binding: 1,
+      visibility: GPUShaderStage.FRAGMENT,
+      texture: { sampleType: "float" },
+    },
+  ],
+});
+
+/**
+ * Levels in a full mip chain, down to 1x1.
+ * @param {number} width
+ * @param {number} height
+ */
+export const mipLevelCount = (width, height) =>
+  Math.floor(Math.log2(Math.max(width, height, 1))) + 1;
+
+/**
+ * Fills every mip level of `texture` below the first from level 0, on the
+ * GPU. The texture needs `RENDER_ATTACHMENT` and `TEXTURE_BINDING` usage and
+ * must belong to `device`.
+ * @param {GPUDevice} device
+ * @param {GPUTexture} texture
+ */
+export async function generateMipmaps(device, texture) {
+  if (texture.mipLevelCount < 2) return;
+  const cache = getDeviceCache(device);
+  const bindGroupLayout = cache.getBindGroupLayout(mipmapLayoutDescriptor());
+  const pipeline = await cache.getRenderPipeline({
+    code: MIPMAP_SHADER,
+    format: texture.format,
+    bindGroupLayout,
+  });
+  const sampler = cache.getSampler({
+    magFilter: "linear",
+    minFilter: "linear",
+  });
+
+  const commandEncoder = device.createCommandEncoder();
+  for (let level = 1; level < texture.mipLevelCount; level++) {
+    const passEncoder = commandEncoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: texture.createView({ baseMipLevel: level, mipLevelCount: 1 }),
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    });
+    passEncoder.setPipeline(pipeline);
+    passEncoder.setBindGroup(
+      0,
+      device.createBindGroup({
+        layout: bindGroupLayout,
+        entries: [
+          { binding: 0, resource: sampler },
+          {
+            binding: 1,
+            resource: texture.createView({
+              baseMipLevel: level - 1,
+              mipLevelCount: 1,
+            }),
+          },
+        ],
+      })
+    );
+    passEncoder.draw(4, 1, 0, 0);
+    passEncoder.end();
+  }
+  device.queue.submit([commandEncoder.finish()]);
+}
@@ -0,0 +1,184 @@
+/**
+ * A stand-in for `navigator.gpu` for Node tests. Devices record what they
+ * create and submit, each object knows the device it came from, and
+ * `lose()` resolves `device.lost` as a GPU reset would. Importing it
+ * defines the WebGPU flag globals Node lacks.
+ */
+
+/* global globalThis */
+
+const flags = (...names) =>
+  Object.fromEntries(names.map((name, index) => [name, 1 << index]));
+
+globalThis.GPUBufferUsage ??= flags(
+  "MAP_READ",
+  "MAP_WRITE",
+  "COPY_SRC",
+  "COPY_DST",
+  "INDEX",
+  "VERTEX",
+  "UNIFORM",
+  "STORAGE",
+  "INDIRECT",
+  "QUERY_RESOLVE"
+);
+globalThis.GPUTextureUsage ??= flags(
+  "COPY_SRC",
+  "COPY_DST",
+  "TEXTURE_BINDING",
+  "STORAGE_BINDING",
+  "RENDER_ATTACHMENT"
+);
+globalThis.GPUShaderStage ??= flags("VERTEX", "FRAGMENT", "COMPUTE");
+globalThis.GPUMapMode ??= flags("READ", "WRITE");
+
+/**
+ * A device that creates inert objects, tagged with their `kind`.
+ */
+export function createMockDevice() {
+  /** @type {(info: { reason: string, message: string }) => void} */
+  let resolveLost = () => {};
+  const device = {
+    /** Every object created, in order, as `{ kind, object }` */
+    created: [],
+    /** @type {unknown[][]} command buffers, per `queue.submit()` */
+    submitted: [],
+    isDestroyed: false,
+    limits: {
+      maxComputeInvocationsPerWorkgroup: 256,
+      maxTextureDimension2D: 8192,
+    },
+    lost: new Promise((resolve) => {
+      resolveLost = resolve;
+    }),
+    queue: {
+      writeBuffer: () => {},
+      writeTexture: () => {},
+      copyExternalImageToTexture: () => {},
+      /** @param {unknown[]} commandBuffers */
+      submit: (commandBuffers) => {
+        device.submitted.push(commandBuffers);
+      },
+    },
+    /**
+     * Resolves `lost` as the browser does after a GPU reset.
+     * @param {string} [message]
+     */
+    lose: (message = "reset") => resolveLost({ reason: "unknown", message }),
+    destroy: () => {
+      device.isDestroyed = true;
+      resolveLost({ reason: "destroyed", message: "" });
+    },
+  };
+
+  /**
+   * @param {string} kind
+   * @param {object} object
+   */
+  const create = (kind, object) => {
+    const created = { kind, device, ...object };
+    device.created.push({ kind, object: created });
+    return created;
+  };
+
+  const destroyable = (kind, object) => {
+    const created = create(kind, { isDestroyed: false, ...object });
+    created.destroy = () => {
+      created.isDestroyed = true;
+    };
+    return created;
+  };
+
+  const passEncoder = () => ({
+    setPipeline: () => {},
+    setBindGroup: () => {},
+    setViewport: () => {},
+    setScissorRect: () => {},
+    draw: () => {},
+    dispatchWorkgroups: () => {},
+    end: () => {},
+  });
+
+  Object.assign(device, {
+    createSampler: (descriptor) => create("sampler", { descriptor }),
+    createBindGroupLayout: (descriptor) =>
+      create("bindGroupLayout", { descriptor }),
+    createPipelineLayout: (descriptor) =>
+      create("pipelineLayout", { descriptor }),
+    createBindGroup: (descriptor) => create("bindGroup", { descriptor }),
+    createShaderModule: ({ code }) =>
+      create("shaderModule", {
+        code,
+        getCompilationInfo: async () => ({ messages: [] }),
+      }),
+    createRenderPipelineAsync: async (descriptor) =>
+      create("renderPipeline", { descriptor }),
+    createComputePipelineAsync: async (descriptor) =>
+      create("computePipeline", { descriptor }),
+    createBuffer: ({ size, usage }) =>
+      destroyable("buffer", {
+        size,
+        usage,
+        mapAsync: async () => {},
+        getMappedRange: () => new ArrayBuffer(size),
+      }),
+    createTexture: (descriptor) => createMockTexture(device, descriptor),
+    createCommandEncoder: () =>
+      create("commandEncoder", {
+        beginRenderPass: passEncoder,
+        beginComputePass: passEncoder,
+        clearBuffer: () => {},
+        copyBufferToBuffer: () => {},
+        copyTextureToBuffer: () => {},
+        finish: () => ({ kind: "commandBuffer", device }),
+      }),
+  });
+  return device;
+}
+
+/**
+ * A texture of `device`, or of none, for sources and targets made by hand.
+ * @param {object | null} device
+ * @param {{ size?: number[], format?: string, mipLevelCount?: number }} [descriptor]
+ */
+export function createMockTexture(device, descriptor = {}) {
+  const {
+    size = [1, 1],
+    format = "rgba8unorm",
+    mipLevelCount = 1,
+  } = descriptor;
+  const texture = {
+    kind: "texture",
+    device,
+    width: size[0],
+    height: size[1] ?? 1,
+    format,
+    mipLevelCount,
+    isDestroyed: false,
+    createView: () => ({ kind: "textureView", device, texture }),
+    destroy: () => {
+      texture.isDestroyed = true;
+    },
+  };
+  device?.created.push({ kind: "texture", object: texture });
+  return texture;
+}
+
+/**
+ * A `navigator.gpu` whose adapter hands out a new mock device per request.
+ */
+export function createMockGPU() {
+  const gpu = {
+    /** Every device handed out, in order */
+    devices: [],
+    getPreferredCanvasFormat: () => "bgra8unorm",
+    requestAdapter: async () => ({
+      requestDevice: async () => {
+        const device = createMockDevice();
+        gpu.devices.push(device);
+        return device;
+      },
+    }),
+  };
+  return gpu;
+}
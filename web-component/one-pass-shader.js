@@ -1,8 +1,21 @@
-const canvas = document.querySelector("canvas");
-const context = canvas.getContext("webgpu");
+import { intrinsicSizeStyle, observeCanvasSize } from "./sizing.js";
 
+// Looked up in main(), so importing the module touches no DOM
+let canvas, context;
 let device, canvasFormat, pipeline, bindGroup, vertexBuffer, uniformBuffer;
-let textureWidth, textureHeight, startTime;
+let startTime;
+
+// Extra images, from the canvas' `data-displacement-src` and
+// `data-mask-src`. Until one is given, a 1x1 texture of the neutral color
+// stands in: mid gray displaces nothing and white masks nothing.
+const TEXTURE_INPUTS = [
+  {
+    name: "displacement",
+    attribute: "displacementSrc",
+    color: [128, 128, 128, 255],
+  },
+  { name: "mask", attribute: "maskSrc", color: [255, 255, 255, 255] },
+];
 
 const shaderCode = `
     struct Uniforms {
@@ -14,6 +27,8 @@ const shaderCode = `
     @group(0) @binding(0) var texSampler: sampler;
     @group(0) @binding(1) var tex: texture_2d<f32>;
     @group(0) @binding(2) var<uniform> uniforms: Uniforms;
+    @group(0) @binding(3) var displacement: texture_2d<f32>;
+    @group(0) @binding(4) var mask: texture_2d<f32>;
 
     struct VertexOutput {
         @builtin(position) position: vec4f,
@@ -31,7 +46,9 @@ const shaderCode = `
 
     @fragment
     fn fragmentMain(@location(0) texCoord: vec2f) -> @location(0) vec4f {
-        let texColor = textureSample(tex, texSampler, texCoord);
+        let offset = (textureSample(displacement, texSampler, texCoord).rg - 0.5) * 0.1;
+        let coverage = textureSample(mask, texSampler, texCoord).a;
+        let texColor = textureSample(tex, texSampler, texCoord + offset) * coverage;
         let animatedTint = vec4f(
             (sin(uniforms.time) + 1.0) / 2.0,
             (cos(uniforms.time) + 1.0) / 2.0,
@@ -55,20 +72,6 @@ async function initWebGPU() {
   });
 }
 
-function resizeCanvas() {
-  canvas.width = textureWidth;
-  canvas.height = textureHeight;
-  const scale = window.innerHeight / textureHeight;
-  const scaledWidth = textureWidth * scale;
-  const scaledHeight = textureHeight * scale;
-  canvas.style.width = `${scaledWidth}px`;
-  canvas.style.height = `${scaledHeight}px`;
-  const horizontalMargin = (window.innerWidth - scaledWidth) / 2;
-  canvas.style.position = "absolute";
-  canvas.style.left = `${horizontalMargin}px`;
-  canvas.style.top = "0px";
-}
-
 function createVertexBuffer() {
   const vertices = new Float32Array([
     -1, -1, 0, 1, 1, -1, 1, 1, -1, 1, 0, 0, 1, 1, 1, 0,
@@ -83,6 +86,30 @@ function createVertexBuffer() {
   return buffer;
 }
 
+/**
+ * @param {number[]} color - RGBA, 0-255
+ */
+function createSolidTexture(color) {
+  const texture = device.createTexture({
+    size: [1, 1],
+    format: "rgba8unorm",
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+  });
+  device.queue.writeTexture({ texture }, new Uint8Array(color), {}, [1, 1]);
+  return texture;
+}
+
+async function loadTextureInputs() {
+  return Promise.all(
+    TEXTURE_INPUTS.map(async ({ attribute, color }) => {
+      const src = canvas.dataset[attribute];
+      if (!src) return createSolidTexture(color);
+      const { texture } = createTextureAndSampler(await loadImage(src));
+      return texture;
+    })
+  );
+}
+
 function createTextureAndSampler(img) {
   const texture = device.createTexture({
     size: [img.width, img.height],
@@ -103,7 +130,7 @@ function createTextureAndSampler(img) {
   return { texture, sampler };
 }
 
-function createBindGroup(sampler, texture) {
+function createBindGroup(sampler, texture, inputs) {
   const bindGroupLayout = device.createBindGroupLayout({
     entries: [
       {
@@ -121,6 +148,11 @@ function createBindGroup(sampler, texture) {
         visibility: GPUShaderStage.FRAGMENT,
         buffer: { type: "uniform" },
       },
+      ...inputs.map((_, index) => ({
+        binding: index + 3,
+        visibility: GPUShaderStage.FRAGMENT,
+        texture: { sampleType: "float" },
+      })),
     ],
   });
   const bindGroup = device.createBindGroup({
@@ -129,6 +161,10 @@ function createBindGroup(sampler, texture) {
       { binding: 0, resource: sampler },
       { binding: 1, resource: texture.createView() },
       { binding: 2, resource: { buffer: uniformBuffer } },
+      ...inputs.map((input, index) => ({
+        binding: index + 3,
+        resource: input.createView(),
+      })),
     ],
   });
   return { bindGroupLayout, bindGroup };
@@ -170,7 +206,6 @@ function updateUniformBuffer(time) {
 }
 
 function render() {
-  resizeCanvas();
   updateUniformBuffer((performance.now() - startTime) / 1000);
   const commandEncoder = device.createCommandEncoder();
   const passEncoder = commandEncoder.beginRenderPass({
@@ -203,24 +238,41 @@ async function loadImage(src) {
 }
 
 async function main() {
+  canvas = document.querySelector("canvas");
+  context = canvas.getContext("webgpu");
   const img = await loadImage(
     "https://cdn.shopify.com/s/files/1/0817/9308/9592/files/crystal.png?v=1722451245"
   );
-  textureWidth = img.width;
-  textureHeight = img.height;
+  // Lay the canvas out at the image's size and aspect ratio, fitted to the
+  // viewport, so the quad covers it without stretching; the backing store
+  // follows at device resolution.
+  Object.assign(canvas.style, {
+    ...intrinsicSizeStyle(img.width, img.height),
+    maxWidth: "100%",
+    maxHeight: "100vh",
+    width: "auto",
+    height: "auto",
+    display: "block",
+    margin: "auto",
+  });
+  observeCanvasSize(canvas);
   await initWebGPU();
   vertexBuffer = createVertexBuffer();
   const { texture, sampler } = createTextureAndSampler(img);
+  const inputs = await loadTextureInputs();
   uniformBuffer = device.createBuffer({
     size: 48,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
-  const { bindGroupLayout, bindGroup: bg } = createBindGroup(sampler, texture);
+  const { bindGroupLayout, bindGroup: bg } = createBindGroup(
+    sampler,
+    texture,
+    inputs
+  );
   bindGroup = bg;
   pipeline = createRenderPipeline(bindGroupLayout);
   startTime = performance.now();
   requestAnimationFrame(render);
-  window.addEventListener("resize", resizeCanvas);
 }
 
 main();
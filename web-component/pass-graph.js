@@ -0,0 +1,591 @@
+import { getDeviceCache } from "./device-manager.js";
+import {
+  bindGroupLayoutDescriptor,
+  compileCompute,
+  compileEffect,
+  DEFAULT_WORKGROUP_SIZE,
+  isVolumeInput,
+  PASSTHROUGH_SHADER,
+  referencesTime,
+  referencesUniform,
+} from "./shader.js";
+import { UniformBlock, UniformLayout } from "./uniforms.js";
+
+/**
+ * @typedef {object} PassDefinition
+ * @property {string} [fragment] - snippet, as accepted by `buildShader`
+ * @property {string} [compute] - makes this a compute pass: a snippet as
+ *   accepted by `buildComputeShader`, in place of `fragment`
+ * @property {import("./shader.js").WorkgroupSize} [workgroupSize] - compute
+ *   only; defaults to 8x8
+ * @property {Record<string, number>} [buffers] - compute only: storage
+ *   buffers of that many `atomic<u32>`, cleared every frame and read back
+ *   with `readBuffer()`. Names are unique across the graph.
+ * @property {boolean} [analysis] - compute only: the pass fills its
+ *   `buffers` from the image without writing one, and the next pass reads
+ *   the same image it did
+ * @property {string} [name] - identifies the pass in `set()` and errors;
+ *   defaults to `pass<index>`
+ * @property {import("./uniforms.js").ParamSchema} [params]
+ * @property {Record<string, import("./uniforms.js").ParamValue>} [values] -
+ *   initial parameter values, overriding the schema defaults
+ * @property {string} [output] - renders into this named target instead of
+ *   the chain; the next pass still reads the previous chain output
+ * @property {string[]} [inputs] - named targets, or `source` for the
+ *   original image, bound as extra `texture_2d<f32>` variables of the same
+ *   name
+ * @property {string[]} [textures] - images the caller supplies through
+ *   `setTexture()`, bound like `inputs` (`lut` as a `texture_3d<f32>`);
+ *   transparent until set
+ * @property {boolean} [animated] - whether the pass changes from frame to
+ *   frame on its own; defaults to whether it reads `uniforms.time`
+ */
+
+/**
+ * @typedef {import("./shader.js").ShaderErrorDetail & { pass: string }} PassErrorDetail
+ */
+
+// Float targets keep precision between grading passes, and compute passes
+// can write them as storage textures
+const INTERMEDIATE_FORMAT = "rgba16float";
+const IDENTITY_TRANSFORM = [1, 1, 0, 0];
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * @param {GPUTexture | GPUExternalTexture} texture
+ * @returns {GPUBindingResource}
+ */
+const asResource = (texture) =>
+  "createView" in texture ? texture.createView() : texture;
+
+/**
+ * @param {PassDefinition} definition
+ */
+const codeOf = (definition) => definition.compute ?? definition.fragment ?? "";
+
+/**
+ * Runs an ordered list of effect passes over a source texture. Each pass
+ * samples the previous pass's output as `tex` (the source, for the first)
+ * through a pair of ping-pong textures, and may also read named targets
+ * written by earlier passes. The last pass draws into the caller's render
+ * pass, so it works both standalone and inside the compositor.
+ *
+ * Compute passes write their target as a storage texture instead, one
+ * invocation per pixel. Since they can't draw, a graph ending in one gets a
+ * passthrough pass appended.
+ */
+export class PassGraph {
+  /**
+   * @param {{
+   *   device: GPUDevice,
+   *   format: GPUTextureFormat,
+   *   passes: PassDefinition[],
+   *   external?: boolean,
+   * }} options - `format` is the format of the final render target;
+   *   `external` makes the source a `texture_external`, for video
+   */
+  constructor({ device, format, passes, external = false }) {
+    if (passes.length === 0) throw new Error("A pass graph needs a pass");
+    if (passes[passes.length - 1].output) {
+      throw new Error("The last pass draws to the canvas and has no output");
+    }
+    if (passes[passes.length - 1].compute !== undefined) {
+      passes = [...passes, { name: "present", fragment: PASSTHROUGH_SHADER }];
+    }
+    this.device = device;
+    this.format = format;
+    this.cache = getDeviceCache(device);
+    this.sampler = this.cache.getSampler({
+      magFilter: "linear",
+      minFilter: "linear",
+      mipmapFilter: "linear",
+      addressModeU: "clamp-to-edge",
+      addressModeV: "clamp-to-edge",
+    });
+
+    const outputs = new Set(["source"]);
+    /** @type {Set<string>} */
+    this.textureNames = new Set();
+    /** @type {Map<string, GPUBuffer>} */
+    this.buffers = new Map();
+    const bufferNames = new Set();
+    let readsSource = true;
+    this.passes = passes.map((definition, index) => {
+      const name = definition.name ?? `pass${index}`;
+      for (const input of definition.inputs ?? []) {
+        if (!IDENTIFIER.test(input) || !outputs.has(input)) {
+          throw new Error(
+            `Pass "${name}" reads "${input}", which no earlier pass writes`
+          );
+        }
+      }
+      for (const texture of definition.textures ?? []) {
+        if (!IDENTIFIER.test(texture) || outputs.has(texture)) {
+          throw new Error(`Invalid texture name "${texture}"`);
+        }
+        this.textureNames.add(texture);
+      }
+      const inputs = [
+        ...(definition.inputs ?? []),
+        ...(definition.textures ?? []),
+      ];
+      if (definition.output) {
+        if (
+          !IDENTIFIER.test(definition.output) ||
+          this.textureNames.has(definition.output)
+        ) {
+          throw new Error(`Invalid output name "${definition.output}"`);
+        }
+        outputs.add(definition.output);
+      }
+      const isCompute = definition.compute !== undefined;
+      const isAnalysis = isCompute && Boolean(definition.analysis);
+      if (isAnalysis && definition.output) {
+        throw new Error(`Analysis pass "${name}" can't have an output`);
+      }
+      const workgroupSize = definition.workgroupSize ?? DEFAULT_WORKGROUP_SIZE;
+      if (
+        isCompute &&
+        (!workgroupSize.every((size) => Number.isInteger(size) && size > 0) ||
+          workgroupSize[0] * workgroupSize[1] >
+            device.limits.maxComputeInvocationsPerWorkgroup)
+      ) {
+        throw new Error(
+          `Pass "${name}" has an invalid workgroup size ${workgroupSize}`
+        );
+      }
+
+      for (const [buffer, length] of Object.entries(definition.buffers ?? {})) {
+        if (
+          !isCompute ||
+          !IDENTIFIER.test(buffer) ||
+          bufferNames.has(buffer) ||
+          !Number.isInteger(length) ||
+          length < 1
+        ) {
+          throw new Error(`Invalid buffer "${buffer}" in pass "${name}"`);
+        }
+        bufferNames.add(buffer);
+      }
+
+      // Bindings that receive the source need the external variant
+      const externals = [];
+      if (external && readsSource) externals.push("tex");
+      if (external && inputs.includes("source")) externals.push("source");
+      if (!definition.output && !isAnalysis) readsSource = false;
+
+      /** @type {import("./shader.js").BindingOptions} */
+      const bindingOptions = isCompute
+        ? {
+            inputs,
+            externals,
+            stage: "compute",
+            storageOutput: !isAnalysis,
+            buffers: definition.buffers,
+          }
+        : { inputs, externals };
+
+      const uniformLayout = new UniformLayout(definition.params);
+      const uniforms = new UniformBlock(uniformLayout);
+      for (const [param, value] of Object.entries(definition.values ?? {})) {
+        uniforms.set(param, value);
+      }
+      return {
+        definition,
+        name,
+        inputs,
+        isCompute,
+        isAnalysis,
+        workgroupSize,
+        bindingOptions,
+        /** @type {{ name: string, buffer: GPUBuffer }[]} */
+        buffers: [],
+        isFinal: index === passes.length - 1,
+        uniformLayout,
+        uniforms,
+        /** @type {GPUBuffer | null} */
+        uniformBuffer: null,
+        bindGroupLayout: this.cache.getBindGroupLayout(
+          bindGroupLayoutDescriptor(bindingOptions)
+        ),
+        /** @type {GPURenderPipeline | null} */
+        pipeline: null,
+        /** @type {GPUComputePipeline | null} */
+        computePipeline: null,
+        /** @type {GPUBindGroup | null} */
+        bindGroup: null,
+        /** @type {GPUTexture | null} */
+        target: null,
+      };
+    });
+
+    // Allocated once every pass is known to be valid, so that an invalid
+    // one leaks none
+    for (const pass of this.passes) {
+      pass.uniformBuffer = device.createBuffer({
+        size: pass.uniformLayout.byteSize,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      });
+      for (const [name, length] of Object.entries(
+        pass.definition.buffers ?? {}
+      )) {
+        const buffer = device.createBuffer({
+          size: length * 4,
+          usage:
+            GPUBufferUsage.STORAGE |
+            GPUBufferUsage.COPY_SRC |
+            GPUBufferUsage.COPY_DST,
+        });
+        this.buffers.set(name, buffer);
+        pass.buffers.push({ name, buffer });
+      }
+    }
+
+    /** @type {GPUTexture | GPUExternalTexture | null} */
+    this.source = null;
+    /** @type {Map<string, GPUTexture>} */
+    this.targets = new Map();
+    /** @type {Map<string, GPUTexture>} set through `setTexture()` */
+    this.textures = new Map();
+    this.width = 0;
+    this.height = 0;
+  }
+
+  get isReady() {
+    return (
+      this.source !== null &&
+      this.passes.every(({ pipeline, computePipeline }) =>
+        Boolean(pipeline ?? computePipeline)
+      )
+    );
+  }
+
+  /** Whether any pass needs redrawing every frame, even when nothing changed */
+  get isAnimated() {
+    return this.passes.some(
+      ({ definition }) =>
+        definition.animated ?? referencesTime(codeOf(definition))
+    );
+  }
+
+  /**
+   * Whether any pass reads a built-in uniform, such as `scroll`.
+   * @param {string} name
+   */
+  readsUniform(name) {
+    return this.passes.some(({ definition }) =>
+      referencesUniform(codeOf(definition), name)
+    );
+  }
+
+  /**
+   * Compiles every pass. Broken passes report through `onError` and fall
+   * back like a single effect does, so the graph always renders: to their
+   * last good pipeline, or that of the same pass in `previous`.
+   * @param {(detail: PassErrorDetail) => void} onError
+   * @param {PassGraph | null} [previous] - the graph this one replaces
+   */
+  async compile(onError, previous = null) {
+    await Promise.all(
+      this.passes.map(async (pass) => {
+        // Only a pipeline with the same bindings and target fits
+        const match = previous?.passes.find(
+          (candidate) =>
+            candidate.name === pass.name &&
+            candidate.isFinal === pass.isFinal &&
+            candidate.bindGroupLayout === pass.bindGroupLayout &&
+            candidate.uniformLayout.wgsl === pass.uniformLayout.wgsl &&
+            String(candidate.workgroupSize) === String(pass.workgroupSize) &&
+            previous?.format === this.format
+        );
+        if (pass.isCompute) {
+          pass.computePipeline = await compileCompute({
+            device: this.device,
+            compute: codeOf(pass.definition),
+            uniformLayout: pass.uniformLayout,
+            bindGroupLayout: pass.bindGroupLayout,
+            bindingOptions: pass.bindingOptions,
+            workgroupSize: pass.workgroupSize,
+            previous: pass.computePipeline ?? match?.computePipeline,
+            onError: (detail) => onError({ ...detail, pass: pass.name }),
+          });
+          return;
+        }
+        pass.pipeline = await compileEffect({
+          device: this.device,
+          fragment: codeOf(pass.definition),
+          uniformLayout: pass.uniformLayout,
+          format: pass.isFinal ? this.format : INTERMEDIATE_FORMAT,
+          bindGroupLayout: pass.bindGroupLayout,
+          inputs: pass.inputs,
+          externals: pass.bindingOptions.externals,
+          previous: pass.pipeline ?? match?.pipeline,
+          onError: (detail) => onError({ ...detail, pass: pass.name }),
+        });
+      })
+    );
+  }
+
+  /**
+   * Sets the image the first pass reads. Intermediate targets match its
+   * size and are reallocated when it changes. External textures carry no
+   * size, so pass it along, and set them again every frame.
+   * @param {GPUTexture | GPUExternalTexture} texture
+   * @param {number} [width]
+   * @param {number} [height]
+   */
+  setSource(
+    texture,
+    width = /** @type {GPUTexture} */ (texture).width,
+    height = /** @type {GPUTexture} */ (texture).height
+  ) {
+    this.source = texture;
+    if (width !== this.width || height !== this.height) {
+      this.width = width;
+      this.height = height;
+      this.allocateTargets();
+    }
+    this.createBindGroups();
+  }
+
+  /**
+   * Binds an image to the name passes list in `textures`, or unbinds it.
+   * The caller keeps ownership of the texture.
+   * @param {string} name
+   * @param {GPUTexture | null} texture
+   */
+  setTexture(name, texture) {
+    if (!this.textureNames.has(name)) return;
+    if (texture) {
+      this.textures.set(name, texture);
+    } else {
+      this.textures.delete(name);
+    }
+    if (this.source) this.createBindGroups();
+  }
+
+  /**
+   * @param {string} passName
+   * @param {string} param
+   * @param {import("./uniforms.js").ParamValue | undefined} value
+   */
+  set(passName, param, value) {
+    this.passes
+      .find(({ name }) => name === passName)
+      ?.uniforms.set(param, value);
+  }
+
+  /**
+   * Sets a parameter on every pass that declares it.
+   * @param {string} param
+   * @param {import("./uniforms.js").ParamValue | undefined} value
+   */
+  setParam(param, value) {
+    for (const { uniforms } of this.passes) {
+      if (param in uniforms.layout.params) uniforms.set(param, value);
+    }
+  }
+
+  /**
+   * `setParam` from an attribute name and string value.
+   * @param {string} attribute
+   * @param {string | null} text
+   */
+  setAttribute(attribute, text) {
+    for (const { uniforms } of this.passes) {
+      uniforms.setAttribute(attribute, text);
+    }
+  }
+
+  allocateTargets() {
+    this.destroyTargets();
+    const createTarget = () =>
+      this.device.createTexture({
+        size: [this.width, this.height],
+        format: INTERMEDIATE_FORMAT,
+        usage:
+          GPUTextureUsage.RENDER_ATTACHMENT |
+          GPUTextureUsage.TEXTURE_BINDING |
+          GPUTextureUsage.STORAGE_BINDING,
+      });
+
+    // Chain passes alternate between two textures; named outputs get
+    // their own so later passes can still read them.
+    let pingPong = 0;
+    for (const pass of this.passes) {
+      const { output } = pass.definition;
+      if (pass.isFinal || pass.isAnalysis) {
+        pass.target = null;
+      } else if (output) {
+        pass.target = createTarget();
+        this.targets.set(output, pass.target);
+      } else {
+        const key = `#${pingPong}`;
+        if (!this.targets.has(key)) this.targets.set(key, createTarget());
+        pass.target = this.targets.get(key) ?? null;
+        pingPong = 1 - pingPong;
+      }
+    }
+  }
+
+  createBindGroups() {
+    let previous = this.source;
+    for (const pass of this.passes) {
+      // From binding 3: inputs, then a compute pass's target and buffers
+      /** @type {GPUBindingResource[]} */
+      const resources = [
+        ...pass.inputs.map((input) => asResource(this.lookup(input))),
+        ...(pass.bindingOptions.storageOutput && pass.target
+          ? [pass.target.createView()]
+          : []),
+        ...pass.buffers.map(({ buffer }) => ({ buffer })),
+      ];
+      pass.bindGroup = this.device.createBindGroup({
+        layout: pass.bindGroupLayout,
+        entries: [
+          { binding: 0, resource: this.sampler },
+          { binding: 1, resource: asResource(previous) },
+          { binding: 2, resource: { buffer: pass.uniformBuffer } },
+          ...resources.map((resource, index) => ({
+            binding: index + 3,
+            resource,
+          })),
+        ],
+      });
+      if (!pass.definition.output && !pass.isAnalysis) previous = pass.target;
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {GPUTexture | GPUExternalTexture}
+   */
+  lookup(name) {
+    if (this.textureNames.has(name)) {
+      return (
+        this.textures.get(name) ??
+        this.cache.getPlaceholderTexture(isVolumeInput(name) ? "3d" : "2d")
+      );
+    }
+    const texture = name === "source" ? this.source : this.targets.get(name);
+    if (!texture) throw new Error(`Unknown pass target "${name}"`);
+    return texture;
+  }
+
+  /**
+   * Writes every pass's uniforms. Built-ins (`time`, `mouse`, ...) go to all
+   * passes; intermediate passes get their own `resolution` and identity
+   * `transform` and `uvTransform`, so fitting only happens on the way out.
+   * @param {Record<string, import("./uniforms.js").ParamValue>} builtins
+   */
+  update(builtins) {
+    for (const pass of this.passes) {
+      for (const [name, value] of Object.entries(builtins)) {
+        pass.uniforms.set(name, value);
+      }
+      if (!pass.isFinal) {
+        pass.uniforms.set("transform", IDENTITY_TRANSFORM);
+        pass.uniforms.set("uvTransform", IDENTITY_TRANSFORM);
+        pass.uniforms.set("resolution", [this.width, this.height]);
+      }
+      this.device.queue.writeBuffer(pass.uniformBuffer, 0, pass.uniforms.data);
+    }
+  }
+
+  /**
+   * Records the intermediate passes. Call before beginning the render pass
+   * that `draw()` goes into.
+   * @param {GPUCommandEncoder} commandEncoder
+   */
+  encode(commandEncoder) {
+    if (!this.isReady) return;
+    for (const pass of this.passes) {
+      if (pass.isCompute) {
+        this.encodeCompute(commandEncoder, pass);
+        continue;
+      }
+      if (pass.isFinal || !pass.target) continue;
+      const passEncoder = commandEncoder.beginRenderPass({
+        colorAttachments: [
+          {
+            view: pass.target.createView(),
+            clearValue: { r: 0, g: 0, b: 0, a: 0 },
+            loadOp: "clear",
+            storeOp: "store",
+          },
+        ],
+      });
+      passEncoder.setPipeline(pass.pipeline);
+      passEncoder.setBindGroup(0, pass.bindGroup);
+      passEncoder.draw(4, 1, 0, 0);
+      passEncoder.end();
+    }
+  }
+
+  /**
+   * @param {GPUCommandEncoder} commandEncoder
+   * @param {PassGraph["passes"][number]} pass
+   */
+  encodeCompute(commandEncoder, pass) {
+    for (const { buffer } of pass.buffers) commandEncoder.clearBuffer(buffer);
+    const [x, y] = pass.workgroupSize;
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setPipeline(pass.computePipeline);
+    passEncoder.setBindGroup(0, pass.bindGroup);
+    passEncoder.dispatchWorkgroups(
+      Math.ceil(this.width / x),
+      Math.ceil(this.height / y)
+    );
+    passEncoder.end();
+  }
+
+  /**
+   * Copies a compute pass's buffer back, as filled by the last submitted
+   * frame; zeros before the first.
+   * @param {string} name
+   * @returns {Promise<Uint32Array>}
+   */
+  async readBuffer(name) {
+    const buffer = this.buffers.get(name);
+    if (!buffer) throw new Error(`No pass has a buffer named "${name}"`);
+    const readback = this.device.createBuffer({
+      size: buffer.size,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    const commandEncoder = this.device.createCommandEncoder();
+    commandEncoder.copyBufferToBuffer(buffer, 0, readback, 0, buffer.size);
+    this.device.queue.submit([commandEncoder.finish()]);
+    try {
+      await readback.mapAsync(GPUMapMode.READ);
+      return new Uint32Array(readback.getMappedRange().slice(0));
+    } finally {
+      readback.destroy();
+    }
+  }
+
+  /**
+   * Draws the last pass into the caller's render pass.
+   * @param {GPURenderPassEncoder} passEncoder
+   */
+  draw(passEncoder) {
+    if (!this.isReady) return;
+    const pass = this.passes[this.passes.length - 1];
+    passEncoder.setPipeline(pass.pipeline);
+    passEncoder.setBindGroup(0, pass.bindGroup);
+    passEncoder.draw(4, 1, 0, 0);
+  }
+
+  destroyTargets() {
+    for (const texture of this.targets.values()) texture.destroy();
+    this.targets.clear();
+  }
+
+  destroy() {
+    this.destroyTargets();
+    for (const pass of this.passes) pass.uniformBuffer?.destroy();
+    for (const buffer of this.buffers.values()) buffer.destroy();
+    this.buffers.clear();
+    this.textures.clear();
+    this.source = null;
+  }
+}
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createMockDevice, createMockTexture } from "./mock-gpu.js";
+import { PassGraph } from "./pass-graph.js";
+
+/**
+ * @param {import("./pass-graph.js").PassDefinition[]} passes
+ */
+function setup(passes) {
+  const device = createMockDevice();
+  const create = () =>
+    new PassGraph({
+      device: /** @type {any} */ (device),
+      format: "bgra8unorm",
+      passes,
+    });
+  const buffers = () =>
+    device.created
+      .filter(({ kind }) => kind === "buffer")
+      .map(({ object }) => object);
+  return { device, create, buffers };
+}
+
+describe("PassGraph", () => {
+  it("allocates a uniform buffer per pass and the compute buffers", () => {
+    const { create, buffers } = setup([
+      { name: "count", compute: "", analysis: true, buffers: { bins: 16 } },
+      { name: "present", fragment: "return sampleImage(uv);" },
+    ]);
+    const graph = create();
+    assert.equal(buffers().length, 3);
+    assert.equal(graph.buffers.get("bins")?.size, 64);
+  });
+
+  it("allocates nothing when a later pass is invalid", () => {
+    const { create, buffers } = setup([
+      { name: "count", compute: "", analysis: true, buffers: { bins: 16 } },
+      { name: "blur", fragment: "", inputs: ["nowhere"] },
+    ]);
+    assert.throws(create, /Pass "blur" reads "nowhere"/);
+    assert.deepEqual(buffers(), []);
+  });
+
+  it("rejects buffer names used twice", () => {
+    const { create, buffers } = setup([
+      { name: "a", compute: "", analysis: true, buffers: { bins: 4 } },
+      { name: "b", compute: "", analysis: true, buffers: { bins: 4 } },
+      { fragment: "" },
+    ]);
+    assert.throws(create, /Invalid buffer "bins" in pass "b"/);
+    assert.deepEqual(buffers(), []);
+  });
+
+  it("frees its buffers and targets on destroy", () => {
+    const { device, create, buffers } = setup([
+      { name: "first", fragment: "" },
+      { name: "second", fragment: "" },
+    ]);
+    const graph = create();
+    graph.setSource(
+      /** @type {any} */ (createMockTexture(device, { size: [4, 4] }))
+    );
+    const targets = [...graph.targets.values()];
+    assert.equal(targets.length, 1);
+    graph.destroy();
+    assert.ok(buffers().every(({ isDestroyed }) => isDestroyed));
+    assert.ok(targets.every(({ isDestroyed }) => isDestroyed));
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Pointer input for every renderer, from Pointer Events, so mouse, pen and
+ * multi-touch behave alike. Positions are 0-1 across the tracked element,
+ * y down like `uv`, and are mapped into source UVs when sampled.
+ */
+
+import { IDENTITY_UV_TRANSFORM, toSourceUV } from "./sizing.js";
+
+/**
+ * @typedef {object} PointerUniforms
+ * @property {[number, number]} mouse - latest position of the primary pointer
+ * @property {[number, number]} pointer - `mouse`, smoothed
+ * @property {[number, number]} pointerVelocity - in UVs per second, smoothed
+ * @property {number[]} touches - the first two pressed pointers, `x, y, x, y`
+ * @property {number} hover - 1 while a pointer is over the element
+ * @property {number} pressed - 1 while any pointer is down
+ * @property {number} touchCount - pointers down
+ * @property {number} interaction - 1 while pressed or on any input, decaying
+ *   to 0 once input stops
+ * @property {number} hoverAmount - `hover`, eased
+ * @property {number} pressAmount - `pressed`, eased
+ */
+
+// Time constants, in seconds
+const POSITION_SMOOTHING = 0.08;
+const STATE_SMOOTHING = 0.12;
+const VELOCITY_SMOOTHING = 0.05;
+const VELOCITY_DECAY = 0.15;
+const INTERACTION_DECAY = 0.6;
+// Below this, smoothing and decay count as settled
+const EPSILON = 1e-3;
+
+const EVENTS = [
+  "pointerenter",
+  "pointerleave",
+  "pointerdown",
+  "pointermove",
+  "pointerup",
+  "pointercancel",
+];
+
+const saturate = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * @typedef {object} PointerInput
+ * @property {string} type - the Pointer Event type
+ * @property {number} pointerId
+ * @property {boolean} isPrimary
+ * @property {[number, number]} point - 0-1 across the element
+ */
+
+/**
+ * Reports every pointer event over `element`, positioned across it.
+ * Presses capture the pointer, so drags keep reporting once they leave.
+ * @param {Element} element
+ * @param {(input: PointerInput) => void} onInput
+ * @returns {() => void} stops listening
+ */
+export function observePointer(element, onInput) {
+  /**
+   * @param {Event} event
+   */
+  const handleEvent = (event) => {
+    if (!(event instanceof PointerEvent)) return;
+    const rect = element.getBoundingClientRect();
+    if (event.type === "pointerdown" && event.target instanceof Element) {
+      event.target.setPointerCapture?.(event.pointerId);
+    }
+    onInput({
+      type: event.type,
+      pointerId: event.pointerId,
+      isPrimary: event.isPrimary,
+      point: [
+        saturate((event.clientX - rect.left) / rect.width),
+        saturate((event.clientY - rect.top) / rect.height),
+      ],
+    });
+  };
+  for (const type of EVENTS) element.addEventListener(type, handleEvent);
+  return () => {
+    for (const type of EVENTS) element.removeEventListener(type, handleEvent);
+  };
+}
+
+export class PointerTracker {
+  /**
+   * @param {Element | null} element - null for input fed through `input()`,
+   *   such as a worker's, forwarded from `observePointer()`
+   * @param {() => void} [onChange] - called on every event, e.g. to request
+   *   a frame
+   */
+  constructor(element, onChange) {
+    this.onChange = onChange;
+    /** @type {[number, number]} */
+    this.position = [0.5, 0.5];
+    /** @type {[number, number]} */
+    this.smoothed = [0.5, 0.5];
+    /** @type {[number, number]} */
+    this.velocity = [0, 0];
+    this.hoverAmount = 0;
+    this.pressAmount = 0;
+    /** @type {Map<number, [number, number]>} positions of pressed pointers */
+    this.pressed = new Map();
+    this.isHovered = false;
+    // Timestamps, in milliseconds
+    this.lastMove = -Infinity;
+    this.lastInteraction = -Infinity;
+    this.lastUpdate = performance.now();
+
+    this.stopObserving = element
+      ? observePointer(element, (input) => this.input(input))
+      : null;
+  }
+
+  destroy() {
+    this.stopObserving?.();
+    this.pressed.clear();
+    this.isHovered = false;
+  }
+
+  /**
+   * @param {PointerInput} input
+   */
+  input({ type, pointerId, isPrimary, point }) {
+    const now = performance.now();
+    switch (type) {
+      case "pointerenter":
+        this.isHovered = true;
+        // Entering isn't movement; don't derive a velocity from the jump
+        this.lastMove = -Infinity;
+        break;
+      case "pointerleave":
+        this.isHovered = false;
+        break;
+      case "pointerdown":
+        this.pressed.set(pointerId, point);
+        break;
+      case "pointermove":
+        if (this.pressed.has(pointerId)) this.pressed.set(pointerId, point);
+        break;
+      default:
+        this.pressed.delete(pointerId);
+    }
+    if (isPrimary) this.moveTo(point, now);
+    this.lastInteraction = now;
+    this.onChange?.();
+  }
+
+  /**
+   * @param {[number, number]} point
+   * @param {number} now
+   */
+  moveTo(point, now) {
+    const dt = (now - this.lastMove) / 1000;
+    if (dt > 0 && Number.isFinite(dt)) {
+      const blend = 1 - Math.exp(-dt / VELOCITY_SMOOTHING);
+      for (const axis of [0, 1]) {
+        const velocity = (point[axis] - this.position[axis]) / dt;
+        this.velocity[axis] += (velocity - this.velocity[axis]) * blend;
+      }
+    }
+    this.position = point;
+    this.lastMove = now;
+  }
+
+  get state() {
+    const pressed = this.pressed.size > 0 ? 1 : 0;
+    return { hover: this.isHovered ? 1 : pressed, pressed };
+  }
+
+  get interaction() {
+    if (this.pressed.size > 0) return 1;
+    const elapsed = (performance.now() - this.lastInteraction) / 1000;
+    return Math.exp(-elapsed / INTERACTION_DECAY);
+  }
+
+  /**
+   * Advances smoothing and decay. Call once per frame.
+   * @returns {boolean} whether anything is still settling, so loops that
+   *   draw on demand keep going until it has
+   */
+  update(now = performance.now()) {
+    const dt = Math.max(0, now - this.lastUpdate) / 1000;
+    this.lastUpdate = now;
+    const follow = 1 - Math.exp(-dt / POSITION_SMOOTHING);
+    const ease = 1 - Math.exp(-dt / STATE_SMOOTHING);
+    const damping = Math.exp(-dt / VELOCITY_DECAY);
+    const { hover, pressed } = this.state;
+    this.hoverAmount += (hover - this.hoverAmount) * ease;
+    this.pressAmount += (pressed - this.pressAmount) * ease;
+    let isSettling =
+      this.interaction > EPSILON ||
+      Math.abs(hover - this.hoverAmount) > EPSILON ||
+      Math.abs(pressed - this.pressAmount) > EPSILON;
+    for (const axis of [0, 1]) {
+      this.smoothed[axis] +=
+        (this.position[axis] - this.smoothed[axis]) * follow;
+      this.velocity[axis] *= damping;
+      isSettling ||=
+        Math.abs(this.position[axis] - this.smoothed[axis]) > EPSILON ||
+        Math.abs(this.velocity[axis]) > EPSILON;
+    }
+    return isSettling;
+  }
+
+  /**
+   * The reserved uniforms, in source UVs.
+   * @param {ArrayLike<number>} [uvTransform] - from `fitTransform`
+   * @returns {PointerUniforms}
+   */
+  uniforms(uvTransform = IDENTITY_UV_TRANSFORM) {
+    const [first, second] = this.pressed.values();
+    const touches = [first, second].flatMap((point) =>
+      point ? toSourceUV(uvTransform, point) : [0, 0]
+    );
+    return {
+      mouse: toSourceUV(uvTransform, this.position),
+      pointer: toSourceUV(uvTransform, this.smoothed),
+      pointerVelocity: [
+        this.velocity[0] * uvTransform[0],
+        this.velocity[1] * uvTransform[1],
+      ],
+      touches,
+      ...this.state,
+      touchCount: this.pressed.size,
+      interaction: this.interaction,
+      hoverAmount: this.hoverAmount,
+      pressAmount: this.pressAmount,
+    };
+  }
+}
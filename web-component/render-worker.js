@@ -0,0 +1,465 @@
+/**
+ * The page's render worker: draws the canvases that `<webgpu-image worker>`
+ * and `<WebGPUImage worker>` hand over with `transferControlToOffscreen()`,
+ * each through a `Renderer` on the worker's own shared device. Images are
+ * fetched and decoded here; uniforms, encoding and frame scheduling never
+ * touch the main thread.
+ *
+ * Messages are arrays, `[type, id, ...args]`, where `id` picks the canvas.
+ * From the page (see worker-client.js):
+ *
+ * - `create, id, canvas` - an `OffscreenCanvas`, transferred
+ * - `source, id, url, maxTextureSize`
+ * - `effect, id, effect, fallback` - preset names or passes, as the
+ *   renderer takes them; `fallback` is drawn when `effect` doesn't form a
+ *   valid graph
+ * - `textures, id, urls` - texture input names to URLs; `lut` takes a
+ *   `.cube` file or LUT image
+ * - `attribute, id, name, value` / `param, id, name, value` /
+ *   `set, id, pass, name, value`
+ * - `size, id, width, height, cssWidth, cssHeight` - in device and CSS
+ *   pixels
+ * - `fit, id, fit, position`
+ * - `visible, id, isVisible` / `scroll, id, progress`
+ * - `frameloop, id, mode` / `animated, id, animated` - null to detect
+ * - `invalidate, id`
+ * - `pointer, id, type, pointerId, isPrimary, x, y`
+ * - `call, id, callId, method, ...args` - `export` or `readBuffer`
+ * - `destroy, id`
+ *
+ * To the page: `load, id, width, height`, `error, id, message`,
+ * `unsupported, id, message` - the worker has no WebGPU device, which ends
+ * worker rendering for the page - `shadererror, id, detail`, `effect, id, readsScroll`,
+ * `result, id, callId, value, error`, `devicelost, id` and
+ * `devicerestored, id`.
+ */
+
+import { deviceManager } from "./device-manager.js";
+import { FrameLoop, parseFrameloop } from "./frame-loop.js";
+import { PointerTracker } from "./pointer.js";
+import { createRenderer } from "./renderer.js";
+import {
+  fitTransform,
+  IDENTITY_UV_TRANSFORM,
+  parsePosition,
+} from "./sizing.js";
+import { releaseTexture, TextureSource } from "./texture-source.js";
+
+const IDENTITY_TRANSFORM = [1, 1, 0, 0];
+
+/**
+ * @param {...unknown} message
+ */
+const post = (...message) => self.postMessage(message);
+
+/**
+ * @param {unknown} error
+ */
+const describeError = (error) =>
+  error instanceof Error ? error.message : `${error}`;
+
+/**
+ * One transferred canvas and everything drawn into it. The renderer is
+ * rebuilt from the retained state after device loss.
+ */
+class Tile {
+  /**
+   * @param {number} id
+   * @param {OffscreenCanvas} canvas
+   */
+  constructor(id, canvas) {
+    this.id = id;
+    this.canvas = canvas;
+    this.context = /** @type {GPUCanvasContext} */ (
+      canvas.getContext("webgpu")
+    );
+    this.frameLoop = new FrameLoop(() => this.render());
+    this.pointer = new PointerTracker(null, () =>
+      this.frameLoop.requestFrame()
+    );
+    this.cssSize = { width: canvas.width, height: canvas.height };
+    /** @type {import("./sizing.js").ObjectFit} */
+    this.fit = "fill";
+    this.position = parsePosition("50% 50%");
+    this.uvTransform = IDENTITY_UV_TRANSFORM;
+    this.scroll = 0;
+    /** @type {boolean | null} overrides the effect's own */
+    this.animated = null;
+    this.isVisible = false;
+    this.startTime = performance.now();
+    this.loadGeneration = 0;
+    /** @type {number | undefined} for the source and texture inputs */
+    this.maxTextureSize = undefined;
+    /** @type {TextureSource | null} */
+    this.source = null;
+    /** @type {GPUTexture | null} */
+    this.texture = null;
+    /** @type {import("./renderer.js").Effect | null} */
+    this.effect = null;
+    /** @type {import("./renderer.js").Effect | null} */
+    this.fallback = null;
+    /** @type {Record<string, string>} texture input names to URLs */
+    this.textureURLs = {};
+    /** @type {Map<string, string | null>} */
+    this.attributes = new Map();
+    /** @type {Map<string, import("./uniforms.js").ParamValue>} */
+    this.params = new Map();
+    /** @type {Map<string, import("./uniforms.js").ParamValue>} keyed `pass\0param` */
+    this.passValues = new Map();
+    /** @type {import("./renderer.js").Renderer | null} */
+    this.renderer = null;
+    /** @type {GPUDevice | null} */
+    this.device = null;
+    this.deviceRequest = deviceManager.acquire();
+    this.deviceRequest.then(
+      (device) => this.setDevice(device),
+      (error) => {
+        this.deviceRequest = null;
+        post("unsupported", this.id, describeError(error));
+      }
+    );
+  }
+
+  /**
+   * @param {GPUDevice} device
+   */
+  async setDevice(device) {
+    if (!this.deviceRequest) return;
+    this.device = device;
+    const renderer = createRenderer({
+      device,
+      target: this.context,
+      fallback: this.fallback,
+      onError: (detail) => post("shadererror", this.id, detail),
+      onChange: () => {
+        if (renderer !== this.renderer) return;
+        this.inspectEffect();
+        this.frameLoop.invalidate();
+      },
+    });
+    this.renderer = renderer;
+    for (const [name, value] of this.attributes) {
+      renderer.setAttribute(name, value);
+    }
+    for (const [name, value] of this.params) renderer.setParam(name, value);
+    for (const [key, value] of this.passValues) {
+      const [pass, param] = key.split("\0");
+      renderer.set(pass, param, value);
+    }
+    renderer.setTextureURLs(this.textureURLs, this.textureOptions);
+    if (this.effect) this.setEffect(this.effect, this.fallback);
+    if (this.source) await this.bindSource(this.source);
+  }
+
+  /**
+   * @param {string} url
+   * @param {number} [maxTextureSize]
+   */
+  async load(url, maxTextureSize) {
+    const generation = ++this.loadGeneration;
+    if (maxTextureSize !== this.maxTextureSize) {
+      this.maxTextureSize = maxTextureSize;
+      this.renderer?.setTextureURLs(this.textureURLs, this.textureOptions);
+    }
+    let source;
+    try {
+      source = await TextureSource.load(url, { maxTextureSize });
+    } catch (error) {
+      if (generation === this.loadGeneration) {
+        post("error", this.id, describeError(error));
+      }
+      return;
+    }
+    if (generation !== this.loadGeneration) {
+      source.destroy();
+      return;
+    }
+    this.source?.destroy();
+    this.source = source;
+    this.startTime = performance.now();
+    this.updateFit();
+    post("load", this.id, source.width, source.height);
+    await this.bindSource(source);
+  }
+
+  /**
+   * Uploads the source to the current device and draws it.
+   * @param {TextureSource} source
+   */
+  async bindSource(source) {
+    const { device, renderer } = this;
+    if (!device || !renderer) return;
+    const texture = await source.acquireTexture(device);
+    if (source !== this.source || renderer !== this.renderer) {
+      releaseTexture(texture);
+      return;
+    }
+    // The previous source's texture was bound up to here
+    renderer.setSource(texture);
+    if (this.texture) releaseTexture(this.texture);
+    this.texture = texture;
+    this.frameLoop.invalidate();
+  }
+
+  /**
+   * @param {import("./renderer.js").Effect} effect
+   * @param {import("./renderer.js").Effect | null} fallback
+   */
+  async setEffect(effect, fallback) {
+    this.effect = effect;
+    this.fallback = fallback;
+    const { renderer } = this;
+    if (!renderer) return;
+    const applied = await renderer.setEffect(effect, fallback);
+    if (!applied || renderer !== this.renderer) return;
+    this.inspectEffect();
+    this.frameLoop.invalidate();
+  }
+
+  inspectEffect() {
+    const { renderer } = this;
+    if (!renderer) return;
+    this.frameLoop.animated = this.animated ?? renderer.isAnimated;
+    post("effect", this.id, renderer.readsUniform("scroll"));
+  }
+
+  // Texture inputs are scaled down like the source
+  get textureOptions() {
+    return { maxTextureSize: this.maxTextureSize };
+  }
+
+  /**
+   * Starts loading every texture input whose URL changed.
+   * @param {Record<string, string>} urls
+   */
+  setTextures(urls) {
+    this.textureURLs = urls;
+    this.renderer?.setTextureURLs(urls, this.textureOptions);
+    this.frameLoop.requestFrame();
+  }
+
+  updateFit() {
+    if (!this.source) return;
+    this.uvTransform = fitTransform(
+      this.fit,
+      this.position,
+      this.source,
+      this.cssSize
+    );
+  }
+
+  /**
+   * @param {boolean} isVisible
+   */
+  setVisible(isVisible) {
+    this.isVisible = isVisible;
+    if (isVisible) {
+      this.frameLoop.invalidate();
+      this.frameLoop.start();
+    } else {
+      this.frameLoop.stop();
+    }
+  }
+
+  render() {
+    const { renderer, pointer, uvTransform } = this;
+    if (!renderer?.isReady) return;
+    if (pointer.update()) this.frameLoop.requestFrame();
+    renderer.update({
+      transform: IDENTITY_TRANSFORM,
+      uvTransform,
+      resolution: [this.canvas.width, this.canvas.height],
+      time: (performance.now() - this.startTime) / 1000,
+      scroll: this.scroll,
+      ...pointer.uniforms(uvTransform),
+    });
+    renderer.render();
+  }
+
+  /**
+   * @param {import("./export.js").ExportOptions} options
+   */
+  async export(options) {
+    if (!this.renderer)
+      throw new Error("There is no WebGPU rendering to export");
+    try {
+      return await this.renderer.export(options, {
+        time: (performance.now() - this.startTime) / 1000,
+      });
+    } finally {
+      // Puts the canvas's uniforms back
+      this.frameLoop.invalidate();
+    }
+  }
+
+  /**
+   * @param {string} name
+   */
+  async readBuffer(name) {
+    if (!this.renderer) throw new Error(`No pass has a buffer named "${name}"`);
+    return this.renderer.readBuffer(name);
+  }
+
+  // GPU resources only; sources and state stay for the next device
+  destroyResources() {
+    this.frameLoop.stop();
+    if (this.texture) releaseTexture(this.texture);
+    this.texture = null;
+    this.renderer?.destroy();
+    this.renderer = null;
+    this.device = null;
+  }
+
+  handleDeviceLost() {
+    if (!this.deviceRequest) return;
+    this.destroyResources();
+    // Resolves with the replacement; our reference carries over to it
+    this.deviceRequest = deviceManager.requestDevice();
+    post("devicelost", this.id);
+  }
+
+  /**
+   * @param {GPUDevice} device
+   */
+  async handleDeviceRestored(device) {
+    if (!this.deviceRequest) return;
+    await this.setDevice(device);
+    if (this.isVisible) this.setVisible(true);
+    post("devicerestored", this.id);
+  }
+
+  destroy() {
+    this.loadGeneration++;
+    this.destroyResources();
+    this.source?.destroy();
+    this.source = null;
+    this.pointer.destroy();
+    if (this.deviceRequest) {
+      this.deviceRequest = null;
+      deviceManager.release();
+    }
+  }
+}
+
+/** @type {Map<number, Tile>} */
+const tiles = new Map();
+
+deviceManager.addEventListener("devicelost", () => {
+  for (const tile of tiles.values()) tile.handleDeviceLost();
+});
+deviceManager.addEventListener("devicerestored", (event) => {
+  const { device } = /** @type {CustomEvent<{ device: GPUDevice }>} */ (event)
+    .detail;
+  for (const tile of tiles.values()) tile.handleDeviceRestored(device);
+});
+
+/**
+ * @param {Tile} tile
+ * @param {string} method
+ * @param {unknown[]} args
+ */
+async function call(tile, method, args) {
+  switch (method) {
+    case "export":
+      return tile.export(
+        /** @type {import("./export.js").ExportOptions} */ (args[0])
+      );
+    case "readBuffer":
+      return tile.readBuffer(/** @type {string} */ (args[0]));
+    default:
+      throw new Error(`Unknown method "${method}"`);
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const [type, id, ...args] = event.data;
+  if (type === "create") {
+    tiles.set(id, new Tile(id, args[0]));
+    return;
+  }
+  const tile = tiles.get(id);
+  if (!tile) return;
+  switch (type) {
+    case "source":
+      tile.load(args[0], args[1]);
+      break;
+    case "effect":
+      tile.setEffect(args[0], args[1]);
+      break;
+    case "textures":
+      tile.setTextures(args[0]);
+      break;
+    case "attribute":
+      tile.attributes.set(args[0], args[1]);
+      tile.renderer?.setAttribute(args[0], args[1]);
+      tile.frameLoop.requestFrame();
+      break;
+    case "param":
+      tile.params.set(args[0], args[1]);
+      tile.renderer?.setParam(args[0], args[1]);
+      tile.frameLoop.requestFrame();
+      break;
+    case "set":
+      tile.passValues.set(`${args[0]}\0${args[1]}`, args[2]);
+      tile.renderer?.set(args[0], args[1], args[2]);
+      tile.frameLoop.requestFrame();
+      break;
+    case "size":
+      // Assigning clears the canvas even when the size is unchanged
+      if (tile.canvas.width !== args[0]) tile.canvas.width = args[0];
+      if (tile.canvas.height !== args[1]) tile.canvas.height = args[1];
+      tile.cssSize = { width: args[2], height: args[3] };
+      tile.updateFit();
+      tile.frameLoop.invalidate();
+      break;
+    case "fit":
+      tile.fit = args[0];
+      tile.position = parsePosition(args[1]);
+      tile.updateFit();
+      tile.frameLoop.requestFrame();
+      break;
+    case "visible":
+      tile.setVisible(args[0]);
+      break;
+    case "scroll":
+      tile.scroll = args[0];
+      tile.frameLoop.requestFrame();
+      break;
+    case "frameloop":
+      tile.frameLoop.setMode(parseFrameloop(args[0]));
+      break;
+    case "animated":
+      tile.animated = args[0];
+      tile.inspectEffect();
+      break;
+    case "invalidate":
+      tile.frameLoop.invalidate();
+      break;
+    case "pointer": {
+      const [pointerType, pointerId, isPrimary, x, y] = args;
+      tile.pointer.input({
+        type: pointerType,
+        pointerId,
+        isPrimary,
+        point: [x, y],
+      });
+      break;
+    }
+    case "call": {
+      const [callId, method, ...callArgs] = args;
+      call(tile, method, callArgs).then(
+        (value) =>
+          self.postMessage(
+            ["result", id, callId, value, null],
+            value instanceof Uint32Array ? [value.buffer] : []
+          ),
+        (error) => post("result", id, callId, null, describeError(error))
+      );
+      break;
+    }
+    case "destroy":
+      tile.destroy();
+      tiles.delete(id);
+      break;
+  }
+});
@@ -0,0 +1,630 @@
+import { createEffectPasses } from "./effects.js";
+import { encodeImage, exportSize, renderToImageData } from "./export.js";
+import { createLUTTexture, loadLUT } from "./lut.js";
+import { PassGraph } from "./pass-graph.js";
+import { PASSTHROUGH_SHADER } from "./shader.js";
+import { releaseTexture, TextureSource } from "./texture-source.js";
+import { createTransitionPass, Transition } from "./transitions.js";
+
+/**
+ * The rendering core that `<webgpu-image>`, the React component and the
+ * render worker wrap: a source texture drawn through an effect into a
+ * canvas context or texture, with transitions between sources, texture
+ * inputs loaded from URLs and LUT grading. It knows nothing of elements,
+ * layout or frame scheduling, so it runs in workers with an
+ * `OffscreenCanvas`, and in Node against a mocked or Dawn-backed device.
+ */
+
+/**
+ * Preset names as accepted by `createEffectPasses`, a single pass, or a
+ * list of passes.
+ * @typedef {string | string[] | import("./pass-graph.js").PassDefinition
+ *   | import("./pass-graph.js").PassDefinition[]} Effect
+ */
+
+/**
+ * @typedef {object} RendererOptions
+ * @property {GPUDevice} device
+ * @property {GPUCanvasContext | GPUTexture | null} [target] - where
+ *   `render()` draws. A context is configured for `device` and `format`.
+ *   Leave it out to draw into a render pass of your own with `encode()`
+ *   and `draw()`, as the compositor does.
+ * @property {GPUTextureFormat} [format] - of the final pass's target.
+ *   Required without a target; defaults to a texture target's format, or
+ *   to the preferred canvas format for a context.
+ * @property {GPUTexture | GPUExternalTexture | null} [source] - see
+ *   `setSource()`
+ * @property {number} [width] - the source's size, needed for external
+ *   textures
+ * @property {number} [height]
+ * @property {boolean} [external] - whether the source will be a
+ *   `GPUExternalTexture`, for a renderer created before its first video
+ *   frame
+ * @property {Effect} [effect] - defaults to drawing the source untouched
+ * @property {Effect | null} [fallback] - drawn when an effect doesn't form
+ *   a valid graph. Without one, the last valid effect keeps drawing.
+ * @property {(detail: import("./pass-graph.js").PassErrorDetail) => void} [onError] -
+ *   receives shader compilation errors, and invalid graphs with an empty
+ *   `pass`; the last good effect, or the fallback, draws meanwhile
+ * @property {() => void} [onChange] - the renderer changed what it draws
+ *   by itself: a texture input loaded, or a transition began or ended
+ * @property {(name: string) => void} [onTransitionStart]
+ * @property {(name: string) => void} [onTransitionEnd] - also when a
+ *   transition is cut short by the next, but not by `destroy()`
+ */
+
+/**
+ * @typedef {object} TransitionOptions
+ * @property {number} [duration] - in milliseconds
+ * @property {string | null} [easing] - a CSS easing keyword or
+ *   `cubic-bezier()`
+ */
+
+/**
+ * @typedef {object} TextureInput
+ * @property {string} url
+ * @property {number | undefined} maxTextureSize
+ * @property {TextureSource | null} source - null for `lut`
+ * @property {GPUTexture | null} texture - once uploaded
+ */
+
+const IDENTITY_TRANSFORM = [1, 1, 0, 0];
+
+/** @type {import("./pass-graph.js").PassDefinition} */
+const PASSTHROUGH_PASS = { name: "effect", fragment: PASSTHROUGH_SHADER };
+
+/**
+ * @param {GPUCanvasContext | GPUTexture} target
+ * @returns {target is GPUCanvasContext}
+ */
+const isContext = (target) => "getCurrentTexture" in target;
+
+/**
+ * @param {Effect} effect
+ * @returns {import("./pass-graph.js").PassDefinition[]}
+ */
+function toPasses(effect) {
+  if (typeof effect === "string") return createEffectPasses(effect);
+  if (!Array.isArray(effect)) return [effect];
+  return effect.every((entry) => typeof entry === "string")
+    ? createEffectPasses(/** @type {string[]} */ (effect))
+    : /** @type {import("./pass-graph.js").PassDefinition[]} */ (effect);
+}
+
+/**
+ * @param {unknown} error
+ * @returns {import("./pass-graph.js").PassErrorDetail}
+ */
+function describeGraphError(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  return {
+    pass: "",
+    message,
+    messages: [{ message, type: "error", line: null, column: null }],
+  };
+}
+
+/**
+ * Draws through a `PassGraph`, a single effect being a graph of one pass.
+ * Textures and parameter values outlive effect changes: they're applied
+ * to every graph the renderer builds.
+ */
+export class Renderer {
+  /**
+   * @param {RendererOptions} options
+   */
+  constructor({
+    device,
+    target = null,
+    format,
+    source = null,
+    width,
+    height,
+    external = false,
+    effect = PASSTHROUGH_PASS,
+    fallback = null,
+    onError = (detail) =>
+      console.error(`Pass "${detail.pass}" failed to compile:`, detail.message),
+    onChange = () => {},
+    onTransitionStart = () => {},
+    onTransitionEnd = () => {},
+  }) {
+    this.device = device;
+    this.target = target;
+    if (format) {
+      this.format = format;
+    } else if (target && !isContext(target)) {
+      this.format = target.format;
+    } else if (target) {
+      this.format = navigator.gpu.getPreferredCanvasFormat();
+    } else {
+      throw new Error("A renderer without a target needs a format");
+    }
+    if (target && isContext(target)) {
+      target.configure({
+        device,
+        format: this.format,
+        alphaMode: "premultiplied",
+      });
+    }
+    this.onError = onError;
+    this.onChange = onChange;
+    this.onTransitionStart = onTransitionStart;
+    this.onTransitionEnd = onTransitionEnd;
+    /** @type {PassGraph | null} */
+    this.graph = null;
+    this.generation = 0;
+    /** @type {GPUTexture | GPUExternalTexture | null} */
+    this.source = null;
+    this.width = 0;
+    this.height = 0;
+    this.isExternal = external;
+    /** @type {Map<string, GPUTexture>} */
+    this.textures = new Map();
+    /** @type {Map<string, TextureInput>} loaded by `setTextureURLs()` */
+    this.inputs = new Map();
+    /** @type {Map<string, string | null>} */
+    this.attributes = new Map();
+    /** @type {Map<string, import("./uniforms.js").ParamValue | undefined>} */
+    this.params = new Map();
+    /** @type {Map<string, Map<string, import("./uniforms.js").ParamValue | undefined>>} */
+    this.passValues = new Map();
+    /** @type {{ name: string, clock: Transition, texture: GPUTexture } | null} */
+    this.transition = null;
+    /** @type {GPUTexture[]} outgoing textures of ended transitions */
+    this.retired = [];
+    this.effect = effect;
+    this.fallback = fallback;
+    if (source) this.assignSource(source, width, height);
+    /** Settles once the first effect, or the fallback, is in place */
+    this.ready = this.setEffect(effect);
+  }
+
+  /** Whether the next `render()` draws anything */
+  get isReady() {
+    return Boolean(this.graph?.isReady);
+  }
+
+  /** Whether the effect changes from frame to frame on its own */
+  get isAnimated() {
+    return Boolean(this.graph?.isAnimated);
+  }
+
+  /** Whether a transition is running, and so every frame differs */
+  get isTransitioning() {
+    return this.transition !== null;
+  }
+
+  /** Whether `lut` is set, which grades the output after the effect */
+  get grades() {
+    return this.inputs.has("lut");
+  }
+
+  /**
+   * Whether the effect reads a built-in uniform, such as `scroll`.
+   * @param {string} name
+   */
+  readsUniform(name) {
+    return Boolean(this.graph?.readsUniform(name));
+  }
+
+  /**
+   * Builds and compiles a new effect, swapping it in once it's ready. Until
+   * then, the previous one keeps drawing. When the passes don't form a
+   * valid graph, `onError` hears of it and the fallback, if any, is built
+   * instead.
+   * @param {Effect} effect
+   * @param {Effect | null} [fallback] - replaces the `fallback` option
+   * @returns {Promise<boolean>} false when a later change superseded this
+   *   one, or nothing valid was built
+   */
+  setEffect(effect, fallback = this.fallback) {
+    this.effect = effect;
+    this.fallback = fallback;
+    return this.rebuild();
+  }
+
+  /**
+   * The running transition reads the source and grading the effect's
+   * output, so they run ahead of and after it.
+   * @param {Effect} effect
+   * @returns {import("./pass-graph.js").PassDefinition[]}
+   */
+  composePasses(effect) {
+    return [
+      ...(this.transition ? [createTransitionPass(this.transition.name)] : []),
+      ...toPasses(effect),
+      ...(this.grades ? createEffectPasses("lut") : []),
+    ];
+  }
+
+  /**
+   * @param {Effect} effect
+   */
+  createGraph(effect) {
+    return new PassGraph({
+      device: this.device,
+      format: this.format,
+      passes: this.composePasses(effect),
+      external: this.isExternal,
+    });
+  }
+
+  // Builds the graph for the current state and swaps it in once compiled
+  async rebuild() {
+    const generation = ++this.generation;
+    let graph;
+    try {
+      graph = this.createGraph(this.effect);
+    } catch (error) {
+      this.onError(describeGraphError(error));
+      if (!this.fallback && this.graph) return false;
+      try {
+        graph = this.createGraph(this.fallback ?? PASSTHROUGH_PASS);
+      } catch (fallbackError) {
+        this.onError(describeGraphError(fallbackError));
+        return false;
+      }
+    }
+    await graph.compile(this.onError, this.graph);
+    if (generation !== this.generation) {
+      graph.destroy();
+      return false;
+    }
+    this.applyState(graph);
+    this.graph?.destroy();
+    this.graph = graph;
+    // Nothing binds the outgoing images of ended transitions anymore
+    if (!this.transition) this.setTexture("previous", null);
+    this.retired.splice(0).forEach(releaseTexture);
+    return true;
+  }
+
+  // A rebuild the renderer started itself, which the caller hears of
+  async refresh() {
+    const applied = await this.rebuild();
+    if (applied) this.onChange();
+    return applied;
+  }
+
+  /**
+   * @param {PassGraph} graph
+   */
+  applyState(graph) {
+    for (const [attribute, text] of this.attributes) {
+      graph.setAttribute(attribute, text);
+    }
+    for (const [param, value] of this.params) graph.setParam(param, value);
+    for (const [pass, values] of this.passValues) {
+      for (const [param, value] of values) graph.set(pass, param, value);
+    }
+    for (const [name, texture] of this.textures)
+      graph.setTexture(name, texture);
+    if (this.source) graph.setSource(this.source, this.width, this.height);
+  }
+
+  /**
+   * @param {GPUTexture | GPUExternalTexture} texture
+   * @param {number} [width]
+   * @param {number} [height]
+   */
+  assignSource(
+    texture,
+    width = /** @type {GPUTexture} */ (texture).width,
+    height = /** @type {GPUTexture} */ (texture).height
+  ) {
+    this.source = texture;
+    this.width = width;
+    this.height = height;
+    const isExternal = !("createView" in texture);
+    const changed = isExternal !== this.isExternal;
+    this.isExternal = isExternal;
+    return changed;
+  }
+
+  /**
+   * Sets the image the effect reads as `tex`. External textures, such as
+   * video frames, expire with the task that imported them, so set each
+   * frame's before drawing it; they carry no size, so pass it along.
+   * Switching between external and regular textures rebuilds the effect,
+   * which draws nothing until the returned promise settles.
+   * @param {GPUTexture | GPUExternalTexture} texture
+   * @param {number} [width]
+   * @param {number} [height]
+   * @returns {Promise<boolean>}
+   */
+  async setSource(texture, width, height) {
+    if (this.assignSource(texture, width, height)) {
+      this.graph?.destroy();
+      this.graph = null;
+      return this.rebuild();
+    }
+    this.graph?.setSource(texture, this.width, this.height);
+    return true;
+  }
+
+  /**
+   * Animates from `previous`, the outgoing source's texture, to the current
+   * source through a registered transition. The renderer takes `previous`
+   * over and releases it with `releaseTexture()` once the transition is
+   * done. A running transition is cut short.
+   * @param {string} name
+   * @param {GPUTexture} previous
+   * @param {TransitionOptions} [options]
+   * @returns {Promise<boolean>} see `setEffect()`
+   */
+  beginTransition(name, previous, { duration, easing } = {}) {
+    this.endTransition();
+    this.transition = {
+      name,
+      clock: new Transition({ duration, easing }),
+      texture: previous,
+    };
+    this.setTexture("previous", previous);
+    this.onTransitionStart(name);
+    return this.refresh();
+  }
+
+  // The outgoing texture stays bound until the graph without the
+  // transition replaces this one
+  endTransition() {
+    const { transition } = this;
+    if (!transition) return;
+    this.transition = null;
+    this.retired.push(transition.texture);
+    this.onTransitionEnd(transition.name);
+  }
+
+  /**
+   * Binds an image to a texture input, such as `mask`, or unbinds it. The
+   * caller keeps ownership of the texture.
+   * @param {string} name
+   * @param {GPUTexture | null} texture
+   */
+  setTexture(name, texture) {
+    if (texture) {
+      this.textures.set(name, texture);
+    } else {
+      this.textures.delete(name);
+    }
+    this.graph?.setTexture(name, texture);
+  }
+
+  /**
+   * Loads images into texture inputs, such as `{ mask: "/shape.png" }`,
+   * binding each once it's uploaded. `lut` takes a `.cube` file or LUT
+   * image, and grades the output after the effect. Inputs missing from
+   * `urls` are unbound; unchanged ones are kept.
+   * @param {Record<string, string>} urls
+   * @param {{ maxTextureSize?: number }} [options] - images larger than
+   *   this on either side are scaled down before upload
+   */
+  setTextureURLs(urls, { maxTextureSize } = {}) {
+    const grades = this.grades;
+    for (const [name, input] of [...this.inputs]) {
+      if (urls[name] !== input.url || maxTextureSize !== input.maxTextureSize)
+        this.releaseInput(name);
+    }
+    for (const [name, url] of Object.entries(urls)) {
+      if (!this.inputs.has(name)) this.loadInput(name, url, maxTextureSize);
+    }
+    // Adds or removes the grading pass
+    if (this.grades !== grades) this.refresh();
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} url
+   * @param {number} [maxTextureSize]
+   */
+  async loadInput(name, url, maxTextureSize) {
+    /** @type {TextureInput} */
+    const input = { url, maxTextureSize, source: null, texture: null };
+    this.inputs.set(name, input);
+    let texture;
+    try {
+      if (name === "lut") {
+        const lut = await loadLUT(url);
+        if (this.inputs.get(name) !== input) return;
+        texture = createLUTTexture(this.device, lut);
+        this.set("lut", "domainMin", lut.domainMin);
+        this.set("lut", "domainMax", lut.domainMax);
+      } else {
+        const source = await TextureSource.load(url, { maxTextureSize });
+        if (this.inputs.get(name) !== input) {
+          source.destroy();
+          return;
+        }
+        input.source = source;
+        if (source.isExternal) {
+          console.warn(`The ${name} texture must be an image, not a video`);
+          return;
+        }
+        texture = await source.acquireTexture(this.device);
+      }
+    } catch (error) {
+      console.error(`Failed to load the ${name} texture:`, error);
+      return;
+    }
+    if (this.inputs.get(name) !== input) {
+      releaseTexture(texture);
+      return;
+    }
+    input.texture = texture;
+    this.setTexture(name, texture);
+    this.onChange();
+  }
+
+  /**
+   * @param {string} name
+   */
+  releaseInput(name) {
+    const input = this.inputs.get(name);
+    if (!input) return;
+    this.inputs.delete(name);
+    this.setTexture(name, null);
+    if (input.texture) releaseTexture(input.texture);
+    input.source?.destroy();
+  }
+
+  /**
+   * Sets a parameter of one pass.
+   * @param {string} pass
+   * @param {string} param
+   * @param {import("./uniforms.js").ParamValue | undefined} value
+   */
+  set(pass, param, value) {
+    let values = this.passValues.get(pass);
+    if (!values) {
+      values = new Map();
+      this.passValues.set(pass, values);
+    }
+    values.set(param, value);
+    this.graph?.set(pass, param, value);
+  }
+
+  /**
+   * Sets a parameter on every pass that declares it.
+   * @param {string} param
+   * @param {import("./uniforms.js").ParamValue | undefined} value
+   */
+  setParam(param, value) {
+    this.params.set(param, value);
+    this.graph?.setParam(param, value);
+  }
+
+  /**
+   * `setParam` from an attribute name and string value; null resets it.
+   * @param {string} attribute
+   * @param {string | null} text
+   */
+  setAttribute(attribute, text) {
+    this.attributes.set(attribute, text);
+    this.graph?.setAttribute(attribute, text);
+  }
+
+  /**
+   * Writes the uniforms for the next frame, and moves a running transition
+   * along, ending it once it's complete. `resolution` is the size drawn
+   * at; `transform` places the quad in clip space and `uvTransform` maps
+   * it onto the source, both `[scaleX, scaleY, offsetX, offsetY]`.
+   * @param {Record<string, import("./uniforms.js").ParamValue>} builtins
+   */
+  update(builtins) {
+    const { transition } = this;
+    if (transition) {
+      this.graph?.set("transition", "progress", transition.clock.progress);
+      if (transition.clock.isDone) {
+        this.endTransition();
+        this.refresh();
+      }
+    }
+    this.graph?.update(builtins);
+  }
+
+  /**
+   * Records the passes ahead of the last. Call before beginning the render
+   * pass that `draw()` goes into.
+   * @param {GPUCommandEncoder} commandEncoder
+   */
+  encode(commandEncoder) {
+    this.graph?.encode(commandEncoder);
+  }
+
+  /**
+   * Draws the last pass into the caller's render pass.
+   * @param {GPURenderPassEncoder} passEncoder
+   */
+  draw(passEncoder) {
+    this.graph?.draw(passEncoder);
+  }
+
+  /**
+   * Draws a frame into `target` with the uniforms of the last `update()`.
+   */
+  render() {
+    if (!this.target) throw new Error("This renderer has no target");
+    const texture = isContext(this.target)
+      ? this.target.getCurrentTexture()
+      : this.target;
+    const commandEncoder = this.device.createCommandEncoder();
+    this.encode(commandEncoder);
+    const passEncoder = commandEncoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: texture.createView(),
+          clearValue: { r: 0, g: 0, b: 0, a: 0 },
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    });
+    this.draw(passEncoder);
+    passEncoder.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  /**
+   * Renders the current effect state into a texture of its own and reads
+   * it back, at any size and independent of the target. The whole source
+   * is drawn. Update again before the next `render()`.
+   * @param {import("./export.js").ExportOptions} [options]
+   * @param {Record<string, import("./uniforms.js").ParamValue>} [builtins] -
+   *   uniforms to draw with, such as `time`
+   * @returns {Promise<Blob | ImageData>}
+   */
+  async export(options = {}, builtins = {}) {
+    if (!this.isReady) throw new Error("There is no rendering to export");
+    const [width, height] = exportSize(options, this.width, this.height);
+    this.graph?.update({
+      ...builtins,
+      transform: IDENTITY_TRANSFORM,
+      uvTransform: IDENTITY_TRANSFORM,
+      resolution: [width, height],
+    });
+    const imageData = await renderToImageData(this.device, {
+      format: this.format,
+      width,
+      height,
+      encode: (commandEncoder) => this.encode(commandEncoder),
+      draw: (passEncoder) => this.draw(passEncoder),
+    });
+    return encodeImage(imageData, options);
+  }
+
+  /**
+   * Reads back a compute pass's buffer as of the last frame, such as
+   * `histogram` from the `histogram` effect.
+   * @param {string} name
+   * @returns {Promise<Uint32Array>}
+   */
+  async readBuffer(name) {
+    if (!this.graph) throw new Error(`No pass has a buffer named "${name}"`);
+    return this.graph.readBuffer(name);
+  }
+
+  /**
+   * Frees the effect's resources, the texture inputs it loaded and the
+   * outgoing texture of a running transition. Other textures stay the
+   * caller's.
+   */
+  destroy() {
+    this.generation++;
+    this.graph?.destroy();
+    this.graph = null;
+    this.source = null;
+    for (const name of [...this.inputs.keys()]) this.releaseInput(name);
+    // Cancelled rather than ended, so `onTransitionEnd` doesn't fire: the
+    // caller would take a teardown for a finished transition
+    if (this.transition) this.retired.push(this.transition.texture);
+    this.transition = null;
+    this.retired.splice(0).forEach(releaseTexture);
+    this.textures.clear();
+  }
+}
+
+/**
+ * @param {RendererOptions} options
+ * @returns {Renderer}
+ */
+export const createRenderer = (options) => new Renderer(options);
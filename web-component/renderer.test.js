@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createMockDevice, createMockTexture } from "./mock-gpu.js";
+import { createRenderer } from "./renderer.js";
+
+/**
+ * A renderer drawing into a texture of a fresh mock device.
+ * @param {Partial<import("./renderer.js").RendererOptions>} [options]
+ */
+function setup(options = {}) {
+  const device = createMockDevice();
+  const target = createMockTexture(device, {
+    size: [4, 4],
+    format: "bgra8unorm",
+  });
+  const events = [];
+  const renderer = createRenderer({
+    device: /** @type {any} */ (device),
+    target: /** @type {any} */ (target),
+    source: /** @type {any} */ (createMockTexture(device, { size: [8, 4] })),
+    onError: (detail) => events.push(["error", detail]),
+    onTransitionStart: (name) => events.push(["transitionstart", name]),
+    onTransitionEnd: (name) => events.push(["transitionend", name]),
+    ...options,
+  });
+  return { device, target, renderer, events };
+}
+
+const BUILTINS = {
+  time: 0,
+  resolution: [4, 4],
+  transform: [1, 1, 0, 0],
+  uvTransform: [1, 1, 0, 0],
+};
+
+describe("createRenderer", () => {
+  it("draws with the device it's given", async () => {
+    const { device, renderer, events } = setup({ effect: "vignette" });
+    assert.equal(await renderer.ready, true);
+    assert.equal(renderer.isReady, true);
+    assert.deepEqual(events, []);
+    renderer.update(BUILTINS);
+    renderer.render();
+    assert.equal(device.submitted.length, 1);
+    const kinds = new Set(device.created.map(({ kind }) => kind));
+    for (const kind of ["sampler", "bindGroupLayout", "renderPipeline"]) {
+      assert.ok(kinds.has(kind), `created no ${kind}`);
+    }
+  });
+
+  it("keeps each device's objects apart", async () => {
+    const first = setup({ effect: "vignette" });
+    const second = setup({ effect: "vignette" });
+    await Promise.all([first.renderer.ready, second.renderer.ready]);
+    for (const { device, renderer } of [first, second]) {
+      const [pass] = renderer.graph.passes;
+      assert.equal(pass.pipeline.device, device);
+      assert.equal(pass.bindGroupLayout.device, device);
+      assert.equal(renderer.graph.sampler.device, device);
+      assert.equal(pass.bindGroup.device, device);
+    }
+  });
+
+  it("reports an invalid effect and draws the fallback", async () => {
+    const { renderer, events } = setup({
+      effect: [{ name: "broken", fragment: "", inputs: ["nowhere"] }],
+      fallback: "vignette",
+    });
+    assert.equal(await renderer.ready, true);
+    assert.equal(events.length, 1);
+    const [type, detail] = events[0];
+    assert.equal(type, "error");
+    assert.equal(detail.pass, "");
+    assert.match(detail.message, /reads "nowhere"/);
+    assert.equal(renderer.graph.passes[0].name, "vignette");
+  });
+
+  it("ends a transition once its clock is done", async () => {
+    const { device, renderer, events } = setup();
+    await renderer.ready;
+    const previous = createMockTexture(device, { size: [8, 4] });
+    await renderer.beginTransition("dissolve", /** @type {any} */ (previous), {
+      duration: 0,
+    });
+    assert.equal(renderer.isTransitioning, true);
+    assert.equal(renderer.graph.passes[0].name, "transition");
+    renderer.update(BUILTINS);
+    assert.equal(renderer.isTransitioning, false);
+    assert.deepEqual(events, [
+      ["transitionstart", "dissolve"],
+      ["transitionend", "dissolve"],
+    ]);
+  });
+
+  it("cancels a running transition on destroy, without ending it", async () => {
+    const { device, renderer, events } = setup();
+    await renderer.ready;
+    const previous = createMockTexture(device, { size: [8, 4] });
+    await renderer.beginTransition("dissolve", /** @type {any} */ (previous));
+    renderer.destroy();
+    assert.deepEqual(events, [["transitionstart", "dissolve"]]);
+    assert.equal(renderer.isTransitioning, false);
+    assert.equal(previous.isDestroyed, true);
+  });
+
+  it("frees its buffers and targets on destroy", async () => {
+    const { device, renderer } = setup({ effect: ["vignette", "vignette"] });
+    await renderer.ready;
+    renderer.destroy();
+    const leaked = device.created.filter(
+      ({ kind, object }) =>
+        (kind === "buffer" || (kind === "texture" && object.width === 8)) &&
+        !object.isDestroyed
+    );
+    // The source stays the caller's
+    assert.deepEqual(
+      leaked.map(({ kind }) => kind),
+      ["texture"]
+    );
+  });
+});
@@ -0,0 +1,603 @@
+import { getDeviceCache, ShaderError } from "./device-manager.js";
+
+/**
+ * Builds complete WGSL modules around a user-supplied fragment snippet.
+ *
+ * A snippet is either the body of `fn effect(uv: vec2f) -> vec4f`, or WGSL
+ * that declares `effect` itself along with any helpers it needs. Both get
+ * the standard bindings (`texSampler`, `tex`, `uniforms`) and the prelude
+ * below.
+ */
+
+/**
+ * @typedef {object} BindingOptions
+ * @property {string[]} [inputs] - names of extra textures, bound from 3 up
+ * @property {string[]} [externals] - which of `tex` and `inputs` are
+ *   `texture_external`, as used for video frames
+ * @property {"fragment" | "compute"} [stage] - which shader stage reads
+ *   the bindings; defaults to `"fragment"`
+ * @property {boolean} [storageOutput] - compute only: binds the pass's
+ *   target as the `rgba16float` storage texture `computeOutput`, after
+ *   `inputs`
+ * @property {Record<string, number>} [buffers] - compute only: storage
+ *   buffers of that many `atomic<u32>`, bound last
+ */
+
+const isExternal = (name, externals) => externals.includes(name);
+
+/**
+ * Images a single effect can sample by name, e.g.
+ * `textureSample(mask, texSampler, uv)`, bound in this order after `tex`.
+ * They are transparent black until loaded.
+ */
+export const TEXTURE_INPUTS = ["reveal", "displacement", "mask", "lut"];
+
+/**
+ * Inputs bound as `texture_3d<f32>` wherever they appear: `lut` holds a
+ * color lookup table, see lut.js.
+ * @param {string} name
+ */
+export const isVolumeInput = (name) => name === "lut";
+
+/**
+ * @param {BindingOptions} [options]
+ */
+export const bindings = ({
+  inputs = [],
+  externals = [],
+  storageOutput = false,
+  buffers = {},
+} = {}) => {
+  let nextBinding = inputs.length + 3;
+  const textureType = (name) =>
+    isExternal(name, externals)
+      ? "texture_external"
+      : isVolumeInput(name)
+      ? "texture_3d<f32>"
+      : "texture_2d<f32>";
+  return [
+    "@group(0) @binding(0) var texSampler: sampler;",
+    `@group(0) @binding(1) var tex: ${textureType("tex")};`,
+    "@group(0) @binding(2) var<uniform> uniforms: Uniforms;",
+    ...inputs.map(
+      (name, index) =>
+        `@group(0) @binding(${index + 3}) var ${name}: ${textureType(name)};`
+    ),
+    ...(storageOutput
+      ? [
+          `@group(0) @binding(${nextBinding++}) var computeOutput: texture_storage_2d<rgba16float, write>;`,
+        ]
+      : []),
+    ...Object.entries(buffers).map(
+      ([name, length]) =>
+        `@group(0) @binding(${nextBinding++}) var<storage, read_write> ${name}: array<atomic<u32>, ${length}>;`
+    ),
+  ].join("\n");
+};
+
+/**
+ * Layout matching `bindings()`. A function so the module can be imported
+ * where the WebGPU globals don't exist, such as during SSR.
+ * @param {BindingOptions} [options]
+ * @returns {GPUBindGroupLayoutDescriptor}
+ */
+export const bindGroupLayoutDescriptor = ({
+  inputs = [],
+  externals = [],
+  stage = "fragment",
+  storageOutput = false,
+  buffers = {},
+} = {}) => {
+  const visibility =
+    stage === "compute" ? GPUShaderStage.COMPUTE : GPUShaderStage.FRAGMENT;
+  let nextBinding = inputs.length + 3;
+  const textureEntry = (binding, name) => ({
+    binding,
+    visibility,
+    ...(isExternal(name, externals)
+      ? { externalTexture: {} }
+      : {
+          texture: {
+            sampleType: /** @type {const} */ ("float"),
+            viewDimension: /** @type {const} */ (
+              isVolumeInput(name) ? "3d" : "2d"
+            ),
+          },
+        }),
+  });
+  return {
+    entries: [
+      {
+        binding: 0,
+        visibility,
+        sampler: { type: "filtering" },
+      },
+      textureEntry(1, "tex"),
+      {
+        binding: 2,
+        visibility:
+          stage === "compute"
+            ? visibility
+            : GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+        buffer: { type: "uniform" },
+      },
+      ...inputs.map((name, index) => textureEntry(index + 3, name)),
+      ...(storageOutput
+        ? [
+            {
+              binding: nextBinding++,
+              visibility,
+              storageTexture: {
+                access: /** @type {const} */ ("write-only"),
+                format: /** @type {const} */ ("rgba16float"),
+              },
+            },
+          ]
+        : []),
+      ...Object.keys(buffers).map(() => ({
+        binding: nextBinding++,
+        visibility,
+        buffer: { type: /** @type {const} */ ("storage") },
+      })),
+    ],
+  };
+};
+
+export const VERTEX_STAGE = `
+struct VertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) uv: vec2f,
+}
+
+@vertex
+fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+  var pos = array<vec2f, 4>(
+    vec2f(-1.0, -1.0),
+    vec2f(1.0, -1.0),
+    vec2f(-1.0, 1.0),
+    vec2f(1.0, 1.0)
+  );
+  var uv = array<vec2f, 4>(
+    vec2f(0.0, 1.0),
+    vec2f(1.0, 1.0),
+    vec2f(0.0, 0.0),
+    vec2f(1.0, 0.0)
+  );
+  var output: VertexOutput;
+  output.position = vec4f(
+    pos[vertexIndex] * uniforms.transform.xy + uniforms.transform.zw,
+    0.0,
+    1.0
+  );
+  output.uv = uv[vertexIndex] * uniforms.uvTransform.xy + uniforms.uvTransform.zw;
+  return output;
+}
+`;
+
+export const SHADER_PRELUDE = `
+const PI: f32 = 3.14159265359;
+const TAU: f32 = 6.28318530718;
+
+fn luminance(color: vec3f) -> f32 {
+  return dot(color, vec3f(0.299, 0.587, 0.114));
+}
+
+fn cosinePalette(t: f32, a: vec3f, b: vec3f, c: vec3f, d: vec3f) -> vec3f {
+  return a + b * cos(TAU * (c * t + d));
+}
+
+fn rotate2d(angle: f32) -> mat2x2f {
+  let s = sin(angle);
+  let c = cos(angle);
+  return mat2x2f(c, -s, s, c);
+}
+
+fn hash21(p: vec2f) -> f32 {
+  return fract(sin(dot(p, vec2f(12.9898, 78.233))) * 43758.5453);
+}
+`;
+
+// External textures have no mips and only support this sampling function
+const sampleImage = (external) => `
+fn sampleImage(uv: vec2f) -> vec4f {
+  return ${
+    external ? "textureSampleBaseClampToEdge" : "textureSample"
+  }(tex, texSampler, uv);
+}
+`;
+
+// UVs outside the source come from fit="contain" or "none". effect() still
+// runs there to keep control flow uniform for its texture samples.
+const FRAGMENT_ENTRY = `
+@fragment
+fn fragmentMain(@location(0) uv: vec2f) -> @location(0) vec4f {
+  let color = effect(uv);
+  let inside = all(uv >= vec2f(0.0)) && all(uv <= vec2f(1.0));
+  return select(vec4f(0.0), color, inside);
+}
+`;
+
+/**
+ * Whether a snippet reads the uniform `name`, so renderers can skip work
+ * for built-ins nothing uses.
+ * @param {string} fragment
+ * @param {string} name
+ */
+export const referencesUniform = (fragment, name) =>
+  new RegExp(`\\buniforms\\s*\\.\\s*${name}\\b`).test(fragment);
+
+/**
+ * Whether a snippet reads `uniforms.time`, and so changes every frame. Used
+ * when an effect doesn't declare `animated` itself.
+ * @param {string} fragment
+ */
+export const referencesTime = (fragment) => referencesUniform(fragment, "time");
+
+/** Draws the image untouched; used while a broken snippet is on screen. */
+export const PASSTHROUGH_SHADER = "return sampleImage(uv);";
+
+/**
+ * @typedef {object} ShaderSource
+ * @property {string} code - the complete module
+ * @property {number} snippetStart - line of `code` holding the snippet's first line
+ * @property {number} snippetLines
+ */
+
+/**
+ * @param {string} fragment - snippet as described above
+ * @param {import("./uniforms.js").UniformLayout} uniformLayout
+ * @param {BindingOptions} [options]
+ * @returns {ShaderSource}
+ */
+export function buildShader(fragment, uniformLayout, options = {}) {
+  const declaresEffect = /\bfn\s+effect\s*\(/.test(fragment);
+  const prefix = [
+    uniformLayout.wgsl,
+    bindings(options),
+    VERTEX_STAGE,
+    SHADER_PRELUDE,
+    sampleImage(isExternal("tex", options.externals ?? [])),
+    declaresEffect ? "" : "fn effect(uv: vec2f) -> vec4f {",
+  ].join("\n");
+  const suffix = [declaresEffect ? "" : "}", FRAGMENT_ENTRY].join("\n");
+  return {
+    code: `${prefix}\n${fragment}\n${suffix}`,
+    snippetStart: prefix.split("\n").length + 1,
+    snippetLines: fragment.split("\n").length,
+  };
+}
+
+/**
+ * @typedef {object} ShaderErrorDetail
+ * @property {string} message
+ * @property {{
+ *   message: string,
+ *   type: GPUCompilationMessageType,
+ *   line: number | null,
+ *   column: number | null,
+ * }[]} messages - `line` is relative to the snippet, or null when the
+ *   message points at generated code or has no location.
+ */
+
+/**
+ * Maps a pipeline error's messages back onto lines of the user's snippet.
+ * @param {ShaderSource} shader
+ * @param {unknown} error
+ * @returns {ShaderErrorDetail}
+ */
+export function describeShaderError(shader, error) {
+  const rawMessages =
+    error instanceof ShaderError
+      ? error.messages
+      : [
+          {
+            message: error instanceof Error ? error.message : String(error),
+            type: /** @type {GPUCompilationMessageType} */ ("error"),
+            lineNum: 0,
+            linePos: 0,
+          },
+        ];
+  const messages = rawMessages.map(({ message, type, lineNum, linePos }) => {
+    const line = lineNum - shader.snippetStart + 1;
+    const inSnippet = lineNum > 0 && line >= 1 && line <= shader.snippetLines;
+    return {
+      message,
+      type,
+      line: inSnippet ? line : null,
+      column: inSnippet ? linePos : null,
+    };
+  });
+  const first = messages.find(({ type }) => type === "error") ?? messages[0];
+  const location = first?.line ? `line ${first.line}:${first.column}: ` : "";
+  return {
+    message: `${location}${first?.message ?? "Unknown error"}`,
+    messages,
+  };
+}
+
+/**
+ * Compiles a snippet into a pipeline. When it doesn't compile, `onError`
+ * receives the mapped messages and the result falls back to `previous`
+ * (the last good pipeline) or to a passthrough of the plain image, so a
+ * broken effect never blanks the canvas.
+ * @param {{
+ *   device: GPUDevice,
+ *   fragment: string,
+ *   uniformLayout: import("./uniforms.js").UniformLayout,
+ *   format: GPUTextureFormat,
+ *   bindGroupLayout: GPUBindGroupLayout,
+ *   inputs?: string[],
+ *   externals?: string[],
+ *   previous?: GPURenderPipeline | null,
+ *   onError: (detail: ShaderErrorDetail) => void,
+ * }} options
+ * @returns {Promise<GPURenderPipeline>}
+ */
+export async function compileEffect({
+  device,
+  fragment,
+  uniformLayout,
+  format,
+  bindGroupLayout,
+  inputs,
+  externals,
+  previous,
+  onError,
+}) {
+  const cache = getDeviceCache(device);
+  const shader = buildShader(fragment, uniformLayout, { inputs, externals });
+  try {
+    return await cache.getRenderPipeline({
+      code: shader.code,
+      format,
+      bindGroupLayout,
+    });
+  } catch (error) {
+    onError(describeShaderError(shader, error));
+    if (previous) return previous;
+    return cache.getRenderPipeline({
+      code: buildShader(PASSTHROUGH_SHADER, uniformLayout, { externals }).code,
+      format,
+      bindGroupLayout,
+    });
+  }
+}
+
+/**
+ * @typedef {[number, number]} WorkgroupSize
+ */
+
+/** @type {WorkgroupSize} */
+export const DEFAULT_WORKGROUP_SIZE = [8, 8];
+
+// Compute shaders can't use implicit derivatives, so these sample level 0.
+// loadImage() clamps to the edges, so neighborhoods need no bounds checks.
+const computeSampling = (external) => `
+fn sampleImage(uv: vec2f) -> vec4f {
+  return ${
+    external
+      ? "textureSampleBaseClampToEdge(tex, texSampler, uv)"
+      : "textureSampleLevel(tex, texSampler, uv, 0.0)"
+  };
+}
+
+fn loadImage(pixel: vec2i) -> vec4f {
+  let last = vec2i(textureDimensions(tex)) - 1;
+  return textureLoad(tex, clamp(pixel, vec2i(0), last)${external ? "" : ", 0"});
+}
+`;
+
+// One invocation per pixel of the target, or of `tex` when there's none
+const computeEntry = ([x, y], storageOutput) => `
+@compute @workgroup_size(${x}, ${y})
+fn computeMain(@builtin(global_invocation_id) id: vec3u) {
+  if (any(id.xy >= textureDimensions(${
+    storageOutput ? "computeOutput" : "tex"
+  }))) {
+    return;
+  }
+  ${
+    storageOutput
+      ? "textureStore(computeOutput, id.xy, compute(vec2i(id.xy)));"
+      : "compute(vec2i(id.xy));"
+  }
+}
+`;
+
+/**
+ * Builds a compute pass's module. The snippet is either the body of
+ * `fn compute(pixel: vec2i) -> vec4f`, returning the pixel's new color, or
+ * WGSL that declares `compute` itself. Without `storageOutput`, `compute`
+ * returns nothing and only fills `buffers`. The prelude adds `loadImage()`
+ * to read `tex` by pixel.
+ * @param {string} snippet
+ * @param {import("./uniforms.js").UniformLayout} uniformLayout
+ * @param {BindingOptions & { workgroupSize?: WorkgroupSize }} [options]
+ * @returns {ShaderSource}
+ */
+export function buildComputeShader(snippet, uniformLayout, options = {}) {
+  const { workgroupSize = DEFAULT_WORKGROUP_SIZE, storageOutput = false } =
+    options;
+  const declaresCompute = /\bfn\s+compute\s*\(/.test(snippet);
+  const prefix = [
+    uniformLayout.wgsl,
+    bindings({ ...options, stage: "compute" }),
+    SHADER_PRELUDE,
+    computeSampling(isExternal("tex", options.externals ?? [])),
+    declaresCompute
+      ? ""
+      : `fn compute(pixel: vec2i)${storageOutput ? " -> vec4f" : ""} {`,
+  ].join("\n");
+  const suffix = [
+    declaresCompute ? "" : "}",
+    computeEntry(workgroupSize, storageOutput),
+  ].join("\n");
+  return {
+    code: `${prefix}\n${snippet}\n${suffix}`,
+    snippetStart: prefix.split("\n").length + 1,
+    snippetLines: snippet.split("\n").length,
+  };
+}
+
+/**
+ * `compileEffect` for compute passes. Broken snippets fall back to the last
+ * good pipeline, or to copying the image through untouched.
+ * @param {{
+ *   device: GPUDevice,
+ *   compute: string,
+ *   uniformLayout: import("./uniforms.js").UniformLayout,
+ *   bindGroupLayout: GPUBindGroupLayout,
+ *   bindingOptions: BindingOptions,
+ *   workgroupSize?: WorkgroupSize,
+ *   previous?: GPUComputePipeline | null,
+ *   onError: (detail: ShaderErrorDetail) => void,
+ * }} options
+ * @returns {Promise<GPUComputePipeline>}
+ */
+export async function compileCompute({
+  device,
+  compute,
+  uniformLayout,
+  bindGroupLayout,
+  bindingOptions,
+  workgroupSize,
+  previous,
+  onError,
+}) {
+  const options = { ...bindingOptions, workgroupSize };
+  const cache = getDeviceCache(device);
+  const shader = buildComputeShader(compute, uniformLayout, options);
+  try {
+    return await cache.getComputePipeline({
+      code: shader.code,
+      bindGroupLayout,
+    });
+  } catch (error) {
+    onError(describeShaderError(shader, error));
+    if (previous) return previous;
+    const passthrough = options.storageOutput ? "return loadImage(pixel);" : "";
+    return cache.getComputePipeline({
+      code: buildComputeShader(passthrough, uniformLayout, options).code,
+      bindGroupLayout,
+    });
+  }
+}
+
+/**
+ * Reads the shader snippet from a `<script type="text/wgsl">` child.
+ * @param {Element} element
+ * @returns {string | null}
+ */
+export function getScriptShader(element) {
+  const script = element.querySelector(
+    ':scope > script[type="text/wgsl"]:not([data-pass])'
+  );
+  return script?.textContent?.trim() || null;
+}
+
+/**
+ * Reads a pass graph from `<script type="text/wgsl" data-pass="name">`
+ * children, in document order. `data-output`, `data-inputs` (space
+ * separated), `data-textures` (space separated), `data-params` (a JSON
+ * parameter schema) and `data-animated` (`"true"` or `"false"`) map onto
+ * the matching `PassDefinition` fields. With `data-compute` the script is a
+ * compute snippet instead, and `data-workgroup-size` (`"x y"`),
+ * `data-buffers` (JSON) and `data-analysis` apply.
+ *
+ * A JSON attribute that doesn't parse is reported to `onError`, and no
+ * passes are returned, so the caller draws its single effect instead.
+ * @param {Element} element
+ * @param {(detail: import("./pass-graph.js").PassErrorDetail) => void} [onError]
+ * @returns {import("./pass-graph.js").PassDefinition[]}
+ */
+export function getScriptPasses(element, onError = () => {}) {
+  /** @type {NodeListOf<HTMLScriptElement>} */
+  const scripts = element.querySelectorAll(
+    ':scope > script[type="text/wgsl"][data-pass]'
+  );
+  try {
+    return Array.from(scripts, readScriptPass);
+  } catch (error) {
+    if (!(error instanceof ScriptPassError)) throw error;
+    onError({
+      pass: error.pass,
+      message: error.message,
+      messages: [
+        { message: error.message, type: "error", line: null, column: null },
+      ],
+    });
+    return [];
+  }
+}
+
+// A pass script's attribute that doesn't parse
+class ScriptPassError extends Error {
+  /**
+   * @param {string} pass
+   * @param {string} message
+   */
+  constructor(pass, message) {
+    super(message);
+    this.name = "ScriptPassError";
+    this.pass = pass;
+  }
+}
+
+/**
+ * @param {HTMLScriptElement} script
+ * @param {"params" | "buffers"} attribute
+ */
+function parseScriptJSON(script, attribute) {
+  const value = script.dataset[attribute];
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const pass = script.dataset.pass ?? "";
+    throw new ScriptPassError(
+      pass,
+      `Pass "${pass}": data-${attribute} isn't valid JSON (${
+        error instanceof Error ? error.message : error
+      })`
+    );
+  }
+}
+
+/**
+ * @param {HTMLScriptElement} script
+ * @returns {import("./pass-graph.js").PassDefinition}
+ */
+function readScriptPass(script) {
+  const {
+    pass,
+    output,
+    inputs,
+    textures,
+    animated,
+    compute,
+    workgroupSize,
+    analysis,
+  } = script.dataset;
+  const code = script.textContent?.trim() ?? "";
+  const isCompute = compute !== undefined && compute !== "false";
+  return {
+    name: pass || undefined,
+    ...(isCompute
+      ? {
+          compute: code,
+          workgroupSize: workgroupSize
+            ? /** @type {[number, number]} */ (
+                workgroupSize.split(/\s+/).map(Number)
+              )
+            : undefined,
+          buffers: parseScriptJSON(script, "buffers"),
+          analysis: analysis !== undefined && analysis !== "false",
+        }
+      : { fragment: code }),
+    output: output || undefined,
+    inputs: inputs?.split(/\s+/).filter(Boolean),
+    textures: textures?.split(/\s+/).filter(Boolean),
+    params: parseScriptJSON(script, "params"),
+    animated: animated === undefined ? undefined : animated !== "false",
+  };
+}
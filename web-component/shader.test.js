@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getScriptPasses } from "./shader.js";
+
+/**
+ * Stands in for an element with `<script data-pass>` children; only what
+ * `getScriptPasses` reads.
+ * @param {{ dataset: Record<string, string>, textContent: string }[]} scripts
+ */
+const host = (scripts) => ({ querySelectorAll: () => scripts });
+
+describe("getScriptPasses", () => {
+  it("maps data attributes onto pass definitions", () => {
+    const passes = getScriptPasses(
+      host([
+        {
+          dataset: {
+            pass: "blur",
+            output: "blurred",
+            inputs: "image  depth",
+            textures: "noise",
+            params: '{"radius": {"type": "float", "default": 2}}',
+            animated: "false",
+          },
+          textContent: "\n  return sample(uv);\n",
+        },
+        { dataset: { pass: "present", inputs: "blurred" }, textContent: "x" },
+      ])
+    );
+    assert.deepEqual(passes[0], {
+      name: "blur",
+      fragment: "return sample(uv);",
+      output: "blurred",
+      inputs: ["image", "depth"],
+      textures: ["noise"],
+      params: { radius: { type: "float", default: 2 } },
+      animated: false,
+    });
+    assert.equal(passes[1].animated, undefined);
+    assert.equal(passes[1].output, undefined);
+  });
+
+  it("reads compute passes", () => {
+    const [pass] = getScriptPasses(
+      host([
+        {
+          dataset: {
+            pass: "histogram",
+            compute: "",
+            workgroupSize: "16 16",
+            buffers: '{"bins": {"size": 256}}',
+            analysis: "",
+          },
+          textContent: "atomicAdd(&bins[0], 1u);",
+        },
+      ])
+    );
+    assert.equal(pass.compute, "atomicAdd(&bins[0], 1u);");
+    assert.equal(pass.fragment, undefined);
+    assert.deepEqual(pass.workgroupSize, [16, 16]);
+    assert.deepEqual(pass.buffers, { bins: { size: 256 } });
+    assert.equal(pass.analysis, true);
+  });
+
+  it("reports JSON that doesn't parse, and returns no passes", () => {
+    /** @type {import("./pass-graph.js").PassErrorDetail[]} */
+    const errors = [];
+    const passes = getScriptPasses(
+      host([
+        { dataset: { pass: "first" }, textContent: "" },
+        { dataset: { pass: "tint", params: "{color: red}" }, textContent: "" },
+      ]),
+      (detail) => errors.push(detail)
+    );
+    assert.deepEqual(passes, []);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].pass, "tint");
+    assert.match(
+      errors[0].message,
+      /Pass "tint": data-params isn't valid JSON/
+    );
+    assert.equal(errors[0].messages[0].line, null);
+  });
+});
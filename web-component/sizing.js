@@ -0,0 +1,138 @@
+/**
+ * Sizing shared by the element, the React component and the demo: canvas
+ * backing stores follow their CSS size times `devicePixelRatio`, and
+ * `object-fit` / `object-position` are emulated with a UV transform so the
+ * source can be cropped or letterboxed without reallocating it.
+ */
+
+/**
+ * @typedef {"cover" | "contain" | "fill" | "none"} ObjectFit
+ * @typedef {{ width: number, height: number }} Size
+ */
+
+export const IDENTITY_UV_TRANSFORM = [1, 1, 0, 0];
+
+// Keywords name their own axis; percentages are taken in x, y order
+const POSITION_KEYWORDS = {
+  left: [0, 0],
+  right: [0, 1],
+  top: [1, 0],
+  bottom: [1, 1],
+};
+
+/**
+ * Parses the keyword and percentage forms of `object-position`, e.g.
+ * `"center"`, `"left top"` or `"25% 75%"`, into 0-1 fractions. Anything
+ * else stays centered.
+ * @param {string | null | undefined} text
+ * @returns {[number, number]}
+ */
+export function parsePosition(text) {
+  /** @type {[number, number]} */
+  const position = [0.5, 0.5];
+  const tokens = (text ?? "").trim().toLowerCase().split(/\s+/).slice(0, 2);
+  tokens.forEach((token, index) => {
+    if (token in POSITION_KEYWORDS) {
+      const [axis, value] = POSITION_KEYWORDS[token];
+      position[axis] = value;
+    } else if (/^-?\d*\.?\d+%$/.test(token)) {
+      position[index] = parseFloat(token) / 100;
+    }
+  });
+  return position;
+}
+
+/**
+ * The `uvTransform` uniform, `[scaleX, scaleY, offsetX, offsetY]`, that maps
+ * a target UV onto the source as `object-fit` would lay it out. UVs outside
+ * 0-1 fall outside the source and are drawn transparent.
+ * @param {ObjectFit | string | null} fit - unknown values behave as `fill`
+ * @param {[number, number]} position - from `parsePosition`
+ * @param {Size} source - natural size, in pixels
+ * @param {Size} target - CSS size, in pixels
+ * @returns {number[]}
+ */
+export function fitTransform(fit, [x, y], source, target) {
+  if (!source.width || !source.height || !target.width || !target.height) {
+    return IDENTITY_UV_TRANSFORM;
+  }
+  // The source's displayed size, as a fraction of the target
+  let width = source.width / target.width;
+  let height = source.height / target.height;
+  if (fit === "contain" || fit === "cover") {
+    const scale = (fit === "contain" ? Math.max : Math.min)(width, height);
+    width /= scale;
+    height /= scale;
+  } else if (fit !== "none") {
+    return IDENTITY_UV_TRANSFORM;
+  }
+  return [
+    1 / width,
+    1 / height,
+    (x * (width - 1)) / width,
+    (y * (height - 1)) / height,
+  ];
+}
+
+/**
+ * Maps a point in target UVs (such as the pointer) into source UVs.
+ * @param {ArrayLike<number>} uvTransform
+ * @param {ArrayLike<number>} point
+ * @returns {[number, number]}
+ */
+export const toSourceUV = (uvTransform, point) => [
+  point[0] * uvTransform[0] + uvTransform[2],
+  point[1] * uvTransform[1] + uvTransform[3],
+];
+
+/**
+ * Inline styles giving a canvas the source's natural size and aspect ratio.
+ * Size containment stops the backing store from feeding back into layout,
+ * which would otherwise grow the canvas by `devicePixelRatio` on every
+ * resize. Page CSS that sets both dimensions still wins.
+ * @param {number} width
+ * @param {number} height
+ */
+export const intrinsicSizeStyle = (width, height) => ({
+  contain: "size",
+  containIntrinsicSize: `${width}px ${height}px`,
+  aspectRatio: `${width} / ${height}`,
+});
+
+/**
+ * Keeps a canvas' backing store at its CSS size times `devicePixelRatio`,
+ * using exact device pixels where the browser reports them. WebGPU contexts
+ * pick the new size up with the next `getCurrentTexture()`.
+ * @param {HTMLCanvasElement} canvas
+ * @param {(size: Size, pixels: [number, number]) => void} [onResize] -
+ *   receives the CSS size, and the backing store's in device pixels
+ * @param {{ assign?: boolean }} [options] - `assign: false` leaves the
+ *   backing store to the callback, as for a canvas handed to a worker
+ * @returns {() => void} stops observing
+ */
+export function observeCanvasSize(canvas, onResize, { assign = true } = {}) {
+  const observer = new ResizeObserver(([entry]) => {
+    const { inlineSize, blockSize } = entry.contentBoxSize[0];
+    const devicePixels = entry.devicePixelContentBoxSize?.[0];
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(
+      1,
+      devicePixels?.inlineSize ?? Math.round(inlineSize * dpr)
+    );
+    const height = Math.max(
+      1,
+      devicePixels?.blockSize ?? Math.round(blockSize * dpr)
+    );
+    // Assigning clears the canvas even when the size is unchanged
+    if (assign && canvas.width !== width) canvas.width = width;
+    if (assign && canvas.height !== height) canvas.height = height;
+    onResize?.({ width: inlineSize, height: blockSize }, [width, height]);
+  });
+  try {
+    observer.observe(canvas, { box: "device-pixel-content-box" });
+  } catch {
+    // Safari only reports CSS pixels
+    observer.observe(canvas);
+  }
+  return () => observer.disconnect();
+}
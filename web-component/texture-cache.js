@@ -0,0 +1,259 @@
+import { deviceManager } from "./device-manager.js";
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string} key
+ * @property {Promise<ImageBitmap>} loading
+ * @property {ImageBitmap | null} bitmap - set once `loading` resolves
+ * @property {{
+ *   device: GPUDevice,
+ *   promise: Promise<GPUTexture>,
+ *   bytes: number,
+ * } | null} texture
+ * @property {number} bytes
+ * @property {number} sources - references from `acquire()`
+ * @property {number} textures - references from `acquireTexture()`
+ */
+
+/**
+ * @typedef {object} CacheStats
+ * @property {number} entries
+ * @property {number} bytes - decoded bitmaps plus textures, mips included
+ * @property {number} budget
+ * @property {number} hits
+ * @property {number} misses
+ * @property {number} evictions
+ */
+
+const DEFAULT_BUDGET = 256 * 1024 * 1024;
+
+/**
+ * @param {GPUTexture} texture - rgba8unorm
+ */
+function textureBytes(texture) {
+  let bytes = 0;
+  for (let level = 0; level < texture.mipLevelCount; level++) {
+    bytes +=
+      Math.max(1, texture.width >> level) *
+      Math.max(1, texture.height >> level) *
+      4;
+  }
+  return bytes;
+}
+
+/**
+ * Shares decoded images, and their textures on the shared device, between
+ * every renderer showing the same URL. Bitmaps and textures are reference
+ * counted apart; once nothing holds an entry it stays around for remounts
+ * until the byte budget pushes it out, least recently used first. Over
+ * budget, textures nothing holds go first, from entries still in use.
+ */
+export class TextureCache {
+  /**
+   * @param {{ budget?: number }} [options] - `budget` is in bytes
+   */
+  constructor({ budget = DEFAULT_BUDGET } = {}) {
+    this.budget = budget;
+    /** @type {Map<string, CacheEntry>} least recently used first */
+    this.entries = new Map();
+    /** @type {WeakMap<GPUTexture, CacheEntry>} */
+    this.textureEntries = new WeakMap();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+
+    // Textures die with their device; bitmaps carry over to the next one
+    deviceManager.addEventListener("devicelost", () => {
+      for (const entry of this.entries.values()) this.dropTexture(entry);
+    });
+  }
+
+  /** @returns {CacheStats} */
+  get stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      budget: this.budget,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+    };
+  }
+
+  /**
+   * Resolves with the entry for `key` once its bitmap is decoded, calling
+   * `load` on a miss, and takes a reference on it. Pair with `release()`.
+   * @param {string} key
+   * @param {() => Promise<ImageBitmap>} load
+   * @returns {Promise<CacheEntry>}
+   */
+  async acquire(key, load) {
+    let entry = this.entries.get(key);
+    if (entry) {
+      this.hits++;
+      this.entries.delete(key);
+    } else {
+      this.misses++;
+      entry = {
+        key,
+        loading: load(),
+        bitmap: null,
+        texture: null,
+        bytes: 0,
+        sources: 0,
+        textures: 0,
+      };
+      const created = entry;
+      entry.loading.then(
+        (bitmap) => {
+          created.bitmap = bitmap;
+          this.account(created, bitmap.width * bitmap.height * 4);
+          this.trim();
+        },
+        () => {
+          if (this.entries.get(key) === created) this.entries.delete(key);
+        }
+      );
+    }
+    this.entries.set(key, entry);
+    entry.sources++;
+    try {
+      await entry.loading;
+    } catch (error) {
+      entry.sources--;
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * The entry's texture on `device`, created by `create` on first use. Takes
+   * another reference, given back by `releaseTexture()`.
+   * @param {CacheEntry} entry
+   * @param {GPUDevice} device
+   * @param {() => Promise<GPUTexture>} create
+   * @returns {Promise<GPUTexture>}
+   */
+  async acquireTexture(entry, device, create) {
+    if (entry.texture?.device !== device) {
+      this.dropTexture(entry);
+      const record = { device, promise: create(), bytes: 0 };
+      entry.texture = record;
+      record.promise.then(
+        (texture) => {
+          this.textureEntries.set(texture, entry);
+          // Dropped meanwhile; dropTexture() destroys it
+          if (entry.texture !== record) return;
+          record.bytes = textureBytes(texture);
+          this.account(entry, record.bytes);
+          this.trim();
+        },
+        () => {
+          if (entry.texture === record) entry.texture = null;
+        }
+      );
+    }
+    entry.textures++;
+    try {
+      return await entry.texture.promise;
+    } catch (error) {
+      entry.textures--;
+      throw error;
+    }
+  }
+
+  /**
+   * Gives back a reference from `acquire()`.
+   * @param {CacheEntry} entry
+   */
+  release(entry) {
+    if (entry.sources === 0) return;
+    entry.sources--;
+    this.trim();
+  }
+
+  /**
+   * @param {GPUTexture} texture
+   * @returns {boolean} false when the texture isn't from this cache
+   */
+  releaseTexture(texture) {
+    const entry = this.textureEntries.get(texture);
+    if (!entry) return false;
+    if (entry.textures > 0) entry.textures--;
+    this.trim();
+    return true;
+  }
+
+  /**
+   * @param {CacheEntry} entry
+   * @param {number} bytes - added to the entry's size
+   */
+  account(entry, bytes) {
+    entry.bytes += bytes;
+    if (this.entries.get(entry.key) === entry) this.bytes += bytes;
+  }
+
+  /**
+   * @param {CacheEntry} entry
+   */
+  dropTexture(entry) {
+    const record = entry.texture;
+    if (!record) return;
+    entry.texture = null;
+    this.account(entry, -record.bytes);
+    record.promise.then(
+      (texture) => texture.destroy(),
+      () => {}
+    );
+  }
+
+  /**
+   * @param {CacheEntry} entry
+   */
+  isReferenced(entry) {
+    return entry.sources > 0 || entry.textures > 0;
+  }
+
+  // Evicts unreferenced entries, and drops unreferenced textures, oldest
+  // first, until within budget
+  trim() {
+    for (const entry of this.entries.values()) {
+      if (this.bytes <= this.budget) return;
+      if (!entry.bitmap) continue;
+      if (!this.isReferenced(entry)) {
+        this.evict(entry);
+        this.evictions++;
+      } else if (entry.textures === 0) {
+        this.dropTexture(entry);
+      }
+    }
+  }
+
+  /**
+   * @param {CacheEntry} entry
+   */
+  evict(entry) {
+    this.dropTexture(entry);
+    this.entries.delete(entry.key);
+    this.bytes -= entry.bytes;
+    entry.bytes = 0;
+    entry.bitmap?.close();
+    entry.bitmap = null;
+  }
+
+  /**
+   * Frees every entry nothing references, and resets the stats. Entries in
+   * use stay until they're released and trimmed.
+   */
+  destroy() {
+    for (const entry of [...this.entries.values()]) {
+      if (!this.isReferenced(entry)) this.evict(entry);
+    }
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+}
+
+export const textureCache = new TextureCache();
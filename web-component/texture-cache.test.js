@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { TextureCache } from "./texture-cache.js";
+
+// 10x10 RGBA, so 400 bytes decoded and as a texture without mips
+const SIZE = 10;
+const BYTES = SIZE * SIZE * 4;
+
+const createBitmap = () => {
+  const bitmap = { width: SIZE, height: SIZE, isClosed: false };
+  return Object.assign(bitmap, {
+    close: () => {
+      bitmap.isClosed = true;
+    },
+  });
+};
+
+const createTexture = () => {
+  const texture = {
+    width: SIZE,
+    height: SIZE,
+    mipLevelCount: 1,
+    isDestroyed: false,
+  };
+  return Object.assign(texture, {
+    destroy: () => {
+      texture.isDestroyed = true;
+    },
+  });
+};
+
+const device = {};
+
+/**
+ * @param {TextureCache} cache
+ * @param {string} key
+ */
+const acquire = (cache, key) => cache.acquire(key, async () => createBitmap());
+
+/**
+ * @param {TextureCache} cache
+ * @param {import("./texture-cache.js").CacheEntry} entry
+ */
+const acquireTexture = (cache, entry) =>
+  cache.acquireTexture(entry, device, async () => createTexture());
+
+describe("TextureCache", () => {
+  it("shares entries by key", async () => {
+    const cache = new TextureCache();
+    const first = await acquire(cache, "a");
+    const second = await acquire(cache, "a");
+    assert.equal(first, second);
+    assert.equal(first.sources, 2);
+    assert.deepEqual(
+      { hits: cache.stats.hits, misses: cache.stats.misses },
+      { hits: 1, misses: 1 }
+    );
+    assert.equal(cache.stats.bytes, BYTES);
+  });
+
+  it("evicts the least recently used unreferenced entry over budget", async () => {
+    const cache = new TextureCache({ budget: 2 * BYTES });
+    const a = await acquire(cache, "a");
+    const b = await acquire(cache, "b");
+    cache.release(a);
+    cache.release(b);
+    // Using `a` again makes `b` the oldest
+    cache.release(await acquire(cache, "a"));
+    await acquire(cache, "c");
+    assert.deepEqual([...cache.entries.keys()], ["a", "c"]);
+    assert.equal(b.bitmap, null);
+    assert.equal(cache.stats.evictions, 1);
+    assert.equal(cache.stats.bytes, 2 * BYTES);
+  });
+
+  it("keeps referenced entries over budget", async () => {
+    const cache = new TextureCache({ budget: BYTES });
+    const a = await acquire(cache, "a");
+    const b = await acquire(cache, "b");
+    assert.deepEqual([...cache.entries.keys()], ["a", "b"]);
+    cache.release(a);
+    assert.deepEqual([...cache.entries.keys()], ["b"]);
+    assert.ok(b.bitmap);
+  });
+
+  it("counts textures apart from sources", async () => {
+    const cache = new TextureCache({ budget: BYTES });
+    const entry = await acquire(cache, "a");
+    const texture = await acquireTexture(cache, entry);
+    assert.deepEqual([entry.sources, entry.textures], [1, 1]);
+    // The texture still holds the entry once its source is gone
+    cache.release(entry);
+    assert.equal(cache.entries.get("a"), entry);
+    assert.equal(texture.isDestroyed, false);
+    assert.equal(cache.releaseTexture(texture), true);
+    assert.equal(cache.entries.has("a"), false);
+    await Promise.resolve();
+    assert.equal(texture.isDestroyed, true);
+  });
+
+  it("drops textures nothing holds from entries still in use", async () => {
+    const cache = new TextureCache({ budget: 1.5 * BYTES });
+    const entry = await acquire(cache, "a");
+    const texture = await acquireTexture(cache, entry);
+    assert.equal(cache.stats.bytes, 2 * BYTES);
+    cache.releaseTexture(texture);
+    assert.equal(entry.texture, null);
+    assert.ok(entry.bitmap);
+    assert.equal(cache.stats.bytes, BYTES);
+    await Promise.resolve();
+    assert.equal(texture.isDestroyed, true);
+  });
+
+  it("leaves referenced entries to destroy()", async () => {
+    const cache = new TextureCache();
+    const held = await acquire(cache, "held");
+    const texture = await acquireTexture(cache, held);
+    cache.release(held);
+    const idle = await acquire(cache, "idle");
+    cache.release(idle);
+    cache.destroy();
+    assert.deepEqual([...cache.entries.keys()], ["held"]);
+    assert.ok(held.bitmap);
+    assert.equal(texture.isDestroyed, false);
+    assert.equal(idle.bitmap, null);
+    assert.equal(cache.stats.bytes, 2 * BYTES);
+  });
+
+  it("forgets entries that fail to load", async () => {
+    const cache = new TextureCache();
+    await assert.rejects(
+      cache.acquire("broken", () => Promise.reject(new Error("404")))
+    );
+    assert.equal(cache.entries.has("broken"), false);
+  });
+});
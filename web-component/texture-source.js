@@ -0,0 +1,313 @@
+import { generateMipmaps, mipLevelCount } from "./mipmaps.js";
+import { textureCache } from "./texture-cache.js";
+
+/**
+ * @typedef {string | HTMLImageElement | HTMLVideoElement | HTMLCanvasElement
+ *   | OffscreenCanvas | ImageBitmap | MediaStream} SourceInput
+ */
+
+/**
+ * @typedef {object} LoadOptions
+ * @property {number} [maxTextureSize] - images larger than this on either
+ *   side are scaled down to fit before upload, keeping their aspect ratio.
+ *   Defaults to WebGPU's guaranteed `maxTextureDimension2D`.
+ * @property {boolean} [cache] - share image URLs through `textureCache`;
+ *   defaults to true
+ */
+
+export const DEFAULT_MAX_TEXTURE_SIZE = 8192;
+
+const VIDEO_EXTENSION = /\.(mp4|webm|ogv|mov|m4v)([?#]|$)/i;
+
+/**
+ * @param {string} src
+ */
+export const isVideoURL = (src) => VIDEO_EXTENSION.test(src);
+
+// Workers have no elements
+
+/**
+ * @param {unknown} value
+ * @returns {value is HTMLVideoElement}
+ */
+const isVideo = (value) =>
+  typeof HTMLVideoElement !== "undefined" && value instanceof HTMLVideoElement;
+
+/**
+ * @param {unknown} value
+ * @returns {value is HTMLImageElement}
+ */
+const isImage = (value) =>
+  typeof HTMLImageElement !== "undefined" && value instanceof HTMLImageElement;
+
+/**
+ * @param {HTMLVideoElement} video
+ */
+async function whenPlayable(video) {
+  if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+    await new Promise((resolve, reject) => {
+      video.addEventListener("loadeddata", resolve, { once: true });
+      video.addEventListener("error", reject, { once: true });
+    });
+  }
+  return video;
+}
+
+/**
+ * @param {string | MediaStream} src
+ */
+async function createVideo(src) {
+  const video = document.createElement("video");
+  video.crossOrigin = "anonymous";
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  if (typeof src === "string") {
+    video.src = src;
+  } else {
+    video.srcObject = src;
+  }
+  await whenPlayable(video);
+  // Autoplay can be refused; the first frame still renders
+  await video.play().catch(() => {});
+  return video;
+}
+
+/**
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement | ImageBitmap>}
+ */
+async function loadImage(src) {
+  // Workers decode fetched bytes instead
+  if (typeof Image === "undefined") {
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`Failed to load image: ${src}`);
+    return createImageBitmap(await response.blob());
+  }
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+    img.src = src;
+  });
+}
+
+/**
+ * @param {HTMLImageElement | ImageBitmap} image
+ * @param {number} maxSize
+ * @returns {Promise<ImageBitmap | null>} null when it already fits
+ */
+async function downscale(image, maxSize) {
+  const width = isImage(image) ? image.naturalWidth : image.width;
+  const height = isImage(image) ? image.naturalHeight : image.height;
+  const scale = maxSize / Math.max(width, height);
+  if (!(scale < 1)) return null;
+  return createImageBitmap(image, {
+    resizeWidth: Math.max(1, Math.round(width * scale)),
+    resizeHeight: Math.max(1, Math.round(height * scale)),
+    resizeQuality: "high",
+  });
+}
+
+/**
+ * Wraps anything an effect can read from. Images are uploaded once,
+ * canvases are copied again every frame, and videos (including
+ * MediaStreams) are imported each frame as a `texture_external`.
+ *
+ * Sources keep the size they had when loaded. Images get a full mip chain
+ * so they stay smooth when drawn smaller than their natural size.
+ */
+export class TextureSource {
+  /**
+   * Image and video URLs are told apart by extension.
+   * @param {SourceInput} input
+   * @param {LoadOptions} [options]
+   * @returns {Promise<TextureSource>}
+   */
+  static async load(
+    input,
+    { maxTextureSize = DEFAULT_MAX_TEXTURE_SIZE, cache = true } = {}
+  ) {
+    if (typeof input === "string" && isVideoURL(input)) {
+      return new TextureSource(await createVideo(input), { ownsElement: true });
+    }
+    if (typeof input === "string" && cache) {
+      const key = JSON.stringify([input, maxTextureSize]);
+      const entry = await textureCache.acquire(key, async () => {
+        const image = await loadImage(input);
+        return (
+          (await downscale(image, maxTextureSize)) ?? createImageBitmap(image)
+        );
+      });
+      return new TextureSource(/** @type {ImageBitmap} */ (entry.bitmap), {
+        cacheEntry: entry,
+      });
+    }
+    if (typeof MediaStream !== "undefined" && input instanceof MediaStream) {
+      return new TextureSource(await createVideo(input), { ownsElement: true });
+    }
+    const element = typeof input === "string" ? await loadImage(input) : input;
+    if (isVideo(element)) await whenPlayable(element);
+    if (isImage(element) && !element.complete) {
+      await element.decode();
+    }
+    const source = new TextureSource(element);
+    if (source.kind === "image") {
+      const image = /** @type {HTMLImageElement | ImageBitmap} */ (element);
+      source.setBitmap(await downscale(image, maxTextureSize));
+    }
+    return source;
+  }
+
+  /**
+   * @param {Exclude<SourceInput, string | MediaStream>} element
+   * @param {{
+   *   ownsElement?: boolean,
+   *   cacheEntry?: import("./texture-cache.js").CacheEntry | null,
+   * }} [options] - owned video elements are stopped by `destroy()`; cache
+   *   entries are released by it
+   */
+  constructor(element, { ownsElement = false, cacheEntry = null } = {}) {
+    this.element = element;
+    this.ownsElement = ownsElement;
+    this.cacheEntry = cacheEntry;
+    /** @type {"image" | "video" | "canvas"} */
+    this.kind = isVideo(element)
+      ? "video"
+      : isImage(element) ||
+        (typeof ImageBitmap !== "undefined" && element instanceof ImageBitmap)
+      ? "image"
+      : "canvas";
+    this.width = isVideo(element)
+      ? element.videoWidth
+      : isImage(element)
+      ? element.naturalWidth
+      : element.width;
+    this.height = isVideo(element)
+      ? element.videoHeight
+      : isImage(element)
+      ? element.naturalHeight
+      : element.height;
+    /**
+     * A downscaled copy uploaded in place of `element`, which fallbacks
+     * still show at full size
+     * @type {ImageBitmap | null}
+     */
+    this.bitmap = null;
+  }
+
+  /**
+   * @param {ImageBitmap | null} bitmap
+   */
+  setBitmap(bitmap) {
+    this.bitmap?.close();
+    this.bitmap = bitmap;
+    if (!bitmap) return;
+    this.width = bitmap.width;
+    this.height = bitmap.height;
+  }
+
+  /** What gets uploaded, at `width` x `height` */
+  get uploadSource() {
+    return this.bitmap ?? this.element;
+  }
+
+  /** Bound as `texture_external` instead of `texture_2d<f32>` */
+  get isExternal() {
+    return this.kind === "video";
+  }
+
+  /** Needs `refresh()` every frame */
+  get isDynamic() {
+    return this.kind !== "image";
+  }
+
+  /**
+   * A texture holding the current contents, with mipmaps for images. Not
+   * used for video.
+   * @param {GPUDevice} device
+   * @returns {Promise<GPUTexture>}
+   */
+  async createTexture(device) {
+    // Canvases change every frame; re-filtering the chain isn't worth it
+    const texture = device.createTexture({
+      size: [this.width, this.height],
+      mipLevelCount:
+        this.kind === "image" ? mipLevelCount(this.width, this.height) : 1,
+      format: "rgba8unorm",
+      usage:
+        GPUTextureUsage.TEXTURE_BINDING |
+        GPUTextureUsage.COPY_DST |
+        GPUTextureUsage.RENDER_ATTACHMENT,
+    });
+    this.copyTo(device, texture);
+    await generateMipmaps(device, texture);
+    return texture;
+  }
+
+  /**
+   * `createTexture()`, except that cached images share one texture per
+   * device. Hand it back with `releaseTexture()` instead of destroying it.
+   * @param {GPUDevice} device
+   * @returns {Promise<GPUTexture>}
+   */
+  acquireTexture(device) {
+    if (!this.cacheEntry) return this.createTexture(device);
+    return textureCache.acquireTexture(this.cacheEntry, device, () =>
+      this.createTexture(device)
+    );
+  }
+
+  /**
+   * @param {GPUDevice} device
+   * @param {GPUTexture} texture
+   */
+  copyTo(device, texture) {
+    device.queue.copyExternalImageToTexture(
+      { source: this.uploadSource },
+      { texture },
+      [this.width, this.height]
+    );
+  }
+
+  /**
+   * Brings the GPU side up to date for this frame: re-copies canvases into
+   * `texture`, or imports the current video frame. External textures expire
+   * with the task, so callers must rebind what this returns every frame.
+   * @param {GPUDevice} device
+   * @param {GPUTexture | null} texture
+   * @returns {GPUExternalTexture | null}
+   */
+  refresh(device, texture) {
+    if (this.isExternal) {
+      return device.importExternalTexture({
+        source: /** @type {HTMLVideoElement} */ (this.element),
+      });
+    }
+    if (this.kind === "canvas" && texture) this.copyTo(device, texture);
+    return null;
+  }
+
+  destroy() {
+    this.setBitmap(null);
+    if (this.cacheEntry) textureCache.release(this.cacheEntry);
+    this.cacheEntry = null;
+    if (!this.ownsElement || !isVideo(this.element)) {
+      return;
+    }
+    this.element.pause();
+    this.element.srcObject = null;
+    this.element.removeAttribute("src");
+    this.element.load();
+  }
+}
+
+/**
+ * Gives back a texture from `acquireTexture()`, destroying it unless the
+ * cache still holds it for other sources.
+ * @param {GPUTexture} texture
+ */
+export function releaseTexture(texture) {
+  if (!textureCache.releaseTexture(texture)) texture.destroy();
+}
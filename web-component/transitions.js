@@ -0,0 +1,208 @@
+/**
+ * Shader transitions between two sources. A transition is a pass that reads
+ * the incoming image as `tex` and the outgoing one as `previous`, blending
+ * by `uniforms.progress`; it runs ahead of the effect passes while a source
+ * change animates.
+ */
+
+/**
+ * @typedef {object} TransitionPreset
+ * @property {string} fragment - snippet, as accepted by `buildShader`
+ * @property {import("./uniforms.js").ParamSchema} [params]
+ */
+
+export const DEFAULT_TRANSITION_DURATION = 600;
+export const DEFAULT_TRANSITION_EASING = "ease-in-out";
+
+/** @type {Map<string, TransitionPreset>} */
+const transitions = new Map();
+
+/**
+ * Makes a transition available to `transition="name"`.
+ * @param {string} name - kebab-case
+ * @param {TransitionPreset} preset
+ */
+export function registerTransition(name, preset) {
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Transition names must be kebab-case, got "${name}"`);
+  }
+  transitions.set(name, preset);
+}
+
+export const getTransitionNames = () => [...transitions.keys()];
+
+/**
+ * The pass to put ahead of the effect passes during a transition. The
+ * outgoing image is sampled across the incoming one's UVs, so images of
+ * different aspect ratios stretch.
+ * @param {string} name
+ * @returns {import("./pass-graph.js").PassDefinition}
+ */
+export function createTransitionPass(name) {
+  const preset = transitions.get(name);
+  if (!preset) throw new Error(`Unknown transition "${name}"`);
+  return {
+    name: "transition",
+    fragment: preset.fragment,
+    params: {
+      progress: { type: "float", default: 0, min: 0, max: 1 },
+      ...preset.params,
+    },
+    textures: ["previous"],
+    animated: true,
+  };
+}
+
+/**
+ * Solves a CSS `cubic-bezier()` for y at time `t`, by bisection.
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {(t: number) => number}
+ */
+function cubicBezier(x1, y1, x2, y2) {
+  const at = (a, b, s) =>
+    3 * a * s * (1 - s) ** 2 + 3 * b * s ** 2 * (1 - s) + s ** 3;
+  return (t) => {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (at(x1, x2, mid) < t) low = mid;
+      else high = mid;
+    }
+    return at(y1, y2, (low + high) / 2);
+  };
+}
+
+const EASINGS = {
+  linear: (t) => t,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  "ease-in": cubicBezier(0.42, 0, 1, 1),
+  "ease-out": cubicBezier(0, 0, 0.58, 1),
+  "ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+};
+
+/**
+ * Accepts the CSS easing keywords and `cubic-bezier(x1, y1, x2, y2)`.
+ * Anything else eases in and out.
+ * @param {string | null | undefined} text
+ * @returns {(t: number) => number}
+ */
+export function parseEasing(text) {
+  const value = (text ?? "").trim().toLowerCase();
+  if (value in EASINGS) return EASINGS[value];
+  const match = value.match(/^cubic-bezier\(([^)]*)\)$/);
+  const points = match?.[1].split(",").map(Number) ?? [];
+  if (points.length === 4 && points.every((point) => !isNaN(point))) {
+    const [x1, y1, x2, y2] = points;
+    return cubicBezier(x1, y1, x2, y2);
+  }
+  return EASINGS[DEFAULT_TRANSITION_EASING];
+}
+
+/**
+ * The clock of one running transition.
+ */
+export class Transition {
+  /**
+   * @param {{ duration?: number, easing?: string | null }} [options] -
+   *   `duration` is in milliseconds
+   */
+  constructor({
+    duration = DEFAULT_TRANSITION_DURATION,
+    easing = DEFAULT_TRANSITION_EASING,
+  } = {}) {
+    this.start = performance.now();
+    this.duration = Math.max(0, duration);
+    this.ease = parseEasing(easing);
+  }
+
+  get elapsed() {
+    return performance.now() - this.start;
+  }
+
+  /** Eased, 0-1 */
+  get progress() {
+    if (this.duration === 0) return 1;
+    return this.ease(Math.min(this.elapsed / this.duration, 1));
+  }
+
+  get isDone() {
+    return this.elapsed >= this.duration;
+  }
+}
+
+registerTransition("dissolve", {
+  fragment: `
+    let from = textureSample(previous, texSampler, uv);
+    return mix(from, sampleImage(uv), uniforms.progress);
+  `,
+});
+
+registerTransition("wipe", {
+  params: {
+    // Degrees; 0 wipes left to right, 90 top to bottom
+    angle: { type: "float", default: 0 },
+    softness: { type: "float", default: 0.05, min: 0, max: 1 },
+  },
+  fragment: `
+    let angle = radians(uniforms.angle);
+    let direction = vec2f(cos(angle), sin(angle));
+    // 0-1 along the wipe, whatever the angle
+    let along = dot(uv - 0.5, direction) / (abs(direction.x) + abs(direction.y)) * 2.0 + 0.5;
+    let softness = max(uniforms.softness, 0.0001);
+    let edge = uniforms.progress * (1.0 + softness);
+    let mask = 1.0 - smoothstep(edge - softness, edge, along);
+    let from = textureSample(previous, texSampler, uv);
+    return mix(from, sampleImage(uv), mask);
+  `,
+});
+
+registerTransition("displacement", {
+  params: { strength: { type: "float", default: 0.3, min: 0, max: 2 } },
+  fragment: `
+    // Each image is pushed aside by the other's brightness
+    let fromShift = luminance(textureSample(previous, texSampler, uv).rgb);
+    let toShift = luminance(sampleImage(uv).rgb);
+    let progress = uniforms.progress;
+    let from = textureSample(
+      previous,
+      texSampler,
+      uv + vec2f(progress * uniforms.strength * toShift, 0.0)
+    );
+    let to = sampleImage(
+      uv - vec2f((1.0 - progress) * uniforms.strength * fromShift, 0.0)
+    );
+    return mix(from, to, progress);
+  `,
+});
+
+registerTransition("noise", {
+  params: {
+    scale: { type: "float", default: 8, min: 0.1 },
+    softness: { type: "float", default: 0.1, min: 0, max: 1 },
+  },
+  fragment: `
+    fn valueNoise(p: vec2f) -> f32 {
+      let cell = floor(p);
+      let f = fract(p);
+      let u = f * f * (3.0 - 2.0 * f);
+      return mix(
+        mix(hash21(cell), hash21(cell + vec2f(1.0, 0.0)), u.x),
+        mix(hash21(cell + vec2f(0.0, 1.0)), hash21(cell + vec2f(1.0, 1.0)), u.x),
+        u.y
+      );
+    }
+
+    fn effect(uv: vec2f) -> vec4f {
+      let p = uv * uniforms.scale;
+      let noise = (valueNoise(p) * 2.0 + valueNoise(p * 2.0)) / 3.0;
+      let softness = max(uniforms.softness, 0.0001);
+      let mask = smoothstep(noise, noise + softness, uniforms.progress * (1.0 + softness));
+      let from = textureSample(previous, texSampler, uv);
+      return mix(from, sampleImage(uv), mask);
+    }
+  `,
+});
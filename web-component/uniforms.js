@@ -0,0 +1,281 @@
+/**
+ * @typedef {"float" | "bool" | "vec2" | "vec3" | "vec4" | "color"} ParamType
+ * @typedef {number | boolean | string | ArrayLike<number>} ParamValue
+ * @typedef {{
+ *   type: ParamType,
+ *   default?: ParamValue,
+ *   min?: number,
+ *   max?: number,
+ * }} ParamDefinition
+ * @typedef {Record<string, ParamDefinition>} ParamSchema
+ */
+
+// Sizes and alignments in floats, following WGSL's uniform address space
+// rules: vec3 aligns like vec4 and the struct rounds up to 16 bytes. This
+// matches GLSL's std140 for these types, so WebGL2 can share the buffer.
+const TYPES = {
+  float: { size: 1, align: 1, wgsl: "f32", glsl: "float" },
+  bool: { size: 1, align: 1, wgsl: "f32", glsl: "float" },
+  vec2: { size: 2, align: 2, wgsl: "vec2f", glsl: "vec2" },
+  vec3: { size: 3, align: 4, wgsl: "vec3f", glsl: "vec3" },
+  vec4: { size: 4, align: 4, wgsl: "vec4f", glsl: "vec4" },
+  color: { size: 4, align: 4, wgsl: "vec4f", glsl: "vec4" },
+};
+
+/**
+ * Uniforms every shader receives ahead of its own parameters.
+ * @type {ParamSchema}
+ */
+export const BUILTIN_UNIFORMS = {
+  transform: { type: "vec4", default: [1, 1, 0, 0] },
+  uvTransform: { type: "vec4", default: [1, 1, 0, 0] },
+  resolution: { type: "vec2", default: [0, 0] },
+  mouse: { type: "vec2", default: [0, 0] },
+  time: { type: "float", default: 0 },
+  hover: { type: "float", default: 0 },
+  // Written by `PointerTracker`; see `PointerUniforms` in pointer.js
+  pointer: { type: "vec2", default: [0.5, 0.5] },
+  touches: { type: "vec4", default: [0, 0, 0, 0] },
+  pointerVelocity: { type: "vec2", default: [0, 0] },
+  pressed: { type: "float", default: 0 },
+  touchCount: { type: "float", default: 0 },
+  interaction: { type: "float", default: 0 },
+  hoverAmount: { type: "float", default: 0 },
+  pressAmount: { type: "float", default: 0 },
+  // How far the element has scrolled through the viewport, 0-1
+  scroll: { type: "float", default: 0 },
+};
+
+const roundUp = (value, multiple) => Math.ceil(value / multiple) * multiple;
+
+/**
+ * `tintColor` <-> `tint-color`
+ * @param {string} name
+ */
+export const toAttributeName = (name) =>
+  name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+
+/**
+ * @param {string} attribute
+ */
+export const toParamName = (attribute) =>
+  attribute.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+/** @type {OffscreenCanvasRenderingContext2D | null | undefined} */
+let colorContext;
+
+/**
+ * Resolves any other CSS color, such as `red` or `hsl(200 50% 50%)`,
+ * through a 2D context, which serializes it as `#rrggbb` or `rgba()`. Null
+ * when it isn't a color, or there's no `OffscreenCanvas` to ask, as in
+ * Node.
+ * @param {string} text
+ * @returns {number[] | null}
+ */
+function resolveCSSColor(text) {
+  if (colorContext === undefined) {
+    colorContext =
+      typeof OffscreenCanvas === "undefined"
+        ? null
+        : new OffscreenCanvas(1, 1).getContext("2d");
+  }
+  if (!colorContext) return null;
+  // Invalid colors leave fillStyle as it was, so two different starting
+  // values tell them apart
+  colorContext.fillStyle = "#000";
+  colorContext.fillStyle = text;
+  const resolved = String(colorContext.fillStyle);
+  colorContext.fillStyle = "#fff";
+  colorContext.fillStyle = text;
+  if (String(colorContext.fillStyle) !== resolved) return null;
+  if (resolved.startsWith("#")) return parseColor(resolved);
+  const [r, g, b, a = 1] = parseList(resolved.replace(/^rgba?\(|\)$/g, ""));
+  return [r / 255, g / 255, b / 255, a];
+}
+
+/**
+ * Accepts `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, a list of 0-1
+ * components, or, in browsers and workers, any other CSS color.
+ * Malformed components, and unknown colors, come back as NaN.
+ * @param {string | ArrayLike<number>} value
+ * @returns {number[]}
+ */
+export function parseColor(value) {
+  if (typeof value !== "string") {
+    return [...Array.from(value), 1, 1, 1, 1].slice(0, 4);
+  }
+  const text = value.trim();
+  if (/^[\d.+-]/.test(text)) return parseColor(parseList(text));
+  if (!text.startsWith("#")) {
+    return resolveCSSColor(text) ?? [NaN, NaN, NaN, NaN];
+  }
+
+  let hex = text.slice(1);
+  if (hex.length <= 4) hex = [...hex].map((char) => char + char).join("");
+  if (hex.length === 6) hex += "ff";
+  const components = (hex.match(/../g) ?? []).map(
+    (pair) => parseInt(pair, 16) / 255
+  );
+  return [...components, NaN, NaN, NaN, NaN].slice(0, 4);
+}
+
+const parseList = (text) =>
+  text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+
+/**
+ * Converts an attribute string into a parameter value.
+ * @param {ParamType} type
+ * @param {string | null} text
+ * @returns {ParamValue | undefined}
+ */
+export function parseParam(type, text) {
+  if (type === "bool") {
+    return text !== null && text !== "false" && text !== "0";
+  }
+  if (text === null) return undefined;
+  if (type === "color") return text;
+  if (type === "float") return Number(text);
+  return parseList(text);
+}
+
+/**
+ * Converts a parameter value into the floats written to the buffer,
+ * clamped to the definition's range.
+ * @param {ParamDefinition} definition
+ * @param {ParamValue | undefined} value
+ * @returns {number[]}
+ */
+export function normalizeParam(definition, value = definition.default) {
+  const { type, min = -Infinity, max = Infinity } = definition;
+  const { size } = TYPES[type];
+  let components;
+  if (type === "color") {
+    components = parseColor(
+      typeof value === "number" || typeof value === "boolean"
+        ? [Number(value), Number(value), Number(value)]
+        : value ?? "#fff"
+    );
+  } else if (type === "bool") {
+    components = [value ? 1 : 0];
+  } else if (typeof value === "object" || typeof value === "string") {
+    components =
+      typeof value === "string"
+        ? parseList(value)
+        : Array.from(value).slice(0, size);
+  } else {
+    components = Array(size).fill(Number(value ?? 0));
+  }
+  // A value that didn't parse, like a color name the browser doesn't know
+  // or `amplitude="abc"`, keeps the default rather than turning into zeros
+  if (
+    components.some((component) => isNaN(component)) &&
+    !Object.is(value, definition.default)
+  ) {
+    return normalizeParam(definition);
+  }
+  while (components.length < size) components.push(0);
+  return components.map((component) =>
+    isNaN(component) ? 0 : Math.min(Math.max(component, min), max)
+  );
+}
+
+/**
+ * Lays a parameter schema out as a WGSL uniform struct, prefixed with the
+ * built-in uniforms. Layouts are immutable and can be shared; per-instance
+ * values live in a `UniformBlock`.
+ */
+export class UniformLayout {
+  /**
+   * @param {ParamSchema} params
+   */
+  constructor(params = {}) {
+    this.params = params;
+    /** @type {Map<string, { definition: ParamDefinition, offset: number }>} */
+    this.fields = new Map();
+    let offset = 0;
+    let structAlign = 4;
+    for (const [name, definition] of Object.entries({
+      ...BUILTIN_UNIFORMS,
+      ...params,
+    })) {
+      const type = TYPES[definition.type];
+      if (!type) {
+        throw new Error(
+          `Unknown parameter type "${definition.type}" for ${name}`
+        );
+      }
+      offset = roundUp(offset, type.align);
+      this.fields.set(name, { definition, offset });
+      offset += type.size;
+      structAlign = Math.max(structAlign, type.align);
+    }
+    this.byteSize = roundUp(offset, structAlign) * 4;
+  }
+
+  /** Attribute names that map onto the effect parameters. */
+  get attributes() {
+    return Object.keys(this.params).map(toAttributeName);
+  }
+
+  get wgsl() {
+    const members = [...this.fields].map(
+      ([name, { definition }]) => `  ${name}: ${TYPES[definition.type].wgsl},`
+    );
+    return `struct Uniforms {\n${members.join("\n")}\n}\n`;
+  }
+
+  /** The same layout as a std140 uniform block named `uniforms`. */
+  get glsl() {
+    const members = [...this.fields].map(
+      ([name, { definition }]) => `  ${TYPES[definition.type].glsl} ${name};`
+    );
+    const block = members.join("\n");
+    return `layout(std140) uniform Uniforms {\n${block}\n} uniforms;\n`;
+  }
+}
+
+export class UniformBlock {
+  /**
+   * @param {UniformLayout} layout
+   */
+  constructor(layout) {
+    this.layout = layout;
+    this.data = new Float32Array(layout.byteSize / 4);
+    for (const name of layout.fields.keys()) this.set(name, undefined);
+  }
+
+  /**
+   * @param {string} name
+   * @param {ParamValue | undefined} value - `undefined` restores the default.
+   */
+  set(name, value) {
+    const field = this.layout.fields.get(name);
+    if (!field) return;
+    if (
+      typeof value === "number" &&
+      !isNaN(value) &&
+      field.definition.type === "float"
+    ) {
+      const { min = -Infinity, max = Infinity } = field.definition;
+      this.data[field.offset] = Math.min(Math.max(value, min), max);
+      return;
+    }
+    this.data.set(normalizeParam(field.definition, value), field.offset);
+  }
+
+  /**
+   * @param {string} attribute
+   * @param {string | null} text
+   * @returns {boolean} whether the attribute maps to a parameter
+   */
+  setAttribute(attribute, text) {
+    const name = toParamName(attribute);
+    const definition = this.layout.params[name];
+    if (!definition) return false;
+    this.set(name, parseParam(definition.type, text));
+    return true;
+  }
+}
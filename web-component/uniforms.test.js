@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { normalizeParam, parseParam } from "./uniforms.js";
+
+describe("normalizeParam", () => {
+  it("clamps to the definition's range", () => {
+    const definition = { type: "float", default: 0.5, min: 0, max: 1 };
+    assert.deepEqual(normalizeParam(definition, 3), [1]);
+    assert.deepEqual(normalizeParam(definition), [0.5]);
+  });
+
+  it("pads vectors with zeros", () => {
+    assert.deepEqual(normalizeParam({ type: "vec3" }, [1, 2]), [1, 2, 0]);
+  });
+
+  it("keeps the default for values that don't parse", () => {
+    const amplitude = { type: "float", default: 0.25 };
+    assert.deepEqual(normalizeParam(amplitude, parseParam("float", "abc")), [
+      0.25,
+    ]);
+    const offset = { type: "vec2", default: [1, 2] };
+    assert.deepEqual(
+      normalizeParam(offset, parseParam("vec2", "3, x")),
+      [1, 2]
+    );
+    const tint = { type: "color", default: "#ff0000" };
+    assert.deepEqual(normalizeParam(tint, "#zzz"), [1, 0, 0, 1]);
+  });
+
+  it("turns a default that doesn't parse into zeros", () => {
+    assert.deepEqual(normalizeParam({ type: "float", default: NaN }), [0]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Near-viewport tracking for lazy loading. Elements count as visible once
+ * they come within `LAZY_ROOT_MARGIN` of the viewport, so images are ready
+ * by the time they scroll in. Also tracks scroll progress for effects that
+ * follow it.
+ */
+
+export const LAZY_ROOT_MARGIN = "200px";
+
+/** How long an element stays offscreen before a lazy one frees its GPU resources */
+export const OFFSCREEN_RELEASE_DELAY = 10000;
+
+/** @type {Map<string, { observer: IntersectionObserver, callbacks: Map<Element, (isVisible: boolean) => void> }>} */
+const observers = new Map();
+
+/**
+ * Calls `callback` with whether `element` is within `rootMargin` of the
+ * viewport, once shortly after observing and again on every change. One
+ * `IntersectionObserver` per margin is shared by the whole page.
+ * @param {Element} element
+ * @param {(isVisible: boolean) => void} callback
+ * @param {string} [rootMargin]
+ * @returns {() => void} stops observing
+ */
+export function observeVisibility(
+  element,
+  callback,
+  rootMargin = LAZY_ROOT_MARGIN
+) {
+  let shared = observers.get(rootMargin);
+  if (!shared) {
+    /** @type {Map<Element, (isVisible: boolean) => void>} */
+    const callbacks = new Map();
+    const observer = new IntersectionObserver(
+      (entries) => {
+        for (const { target, isIntersecting } of entries) {
+          callbacks.get(target)?.(isIntersecting);
+        }
+      },
+      { rootMargin }
+    );
+    shared = { observer, callbacks };
+    observers.set(rootMargin, shared);
+  }
+  const { observer, callbacks } = shared;
+  callbacks.set(element, callback);
+  observer.observe(element);
+  return () => {
+    if (callbacks.get(element) !== callback) return;
+    callbacks.delete(element);
+    observer.unobserve(element);
+  };
+}
+
+/**
+ * How far `element` has scrolled through the viewport: 0 as its top edge
+ * enters at the bottom, 1 as its bottom edge leaves at the top.
+ * @param {Element} element
+ */
+export function scrollProgress(element) {
+  const { top, height } = element.getBoundingClientRect();
+  const distance = window.innerHeight + height;
+  if (distance <= 0) return 0;
+  return Math.min(Math.max((window.innerHeight - top) / distance, 0), 1);
+}
+
+/** @type {Set<() => void>} */
+const scrollCallbacks = new Set();
+
+const handleScroll = () => {
+  for (const callback of scrollCallbacks) callback();
+};
+
+/**
+ * Calls `callback` whenever the page or any scroll container scrolls,
+ * through one passive listener shared by the whole page.
+ * @param {() => void} callback
+ * @returns {() => void} stops observing
+ */
+export function observeScroll(callback) {
+  if (scrollCallbacks.size === 0) {
+    document.addEventListener("scroll", handleScroll, {
+      capture: true,
+      passive: true,
+    });
+  }
+  scrollCallbacks.add(callback);
+  return () => {
+    if (!scrollCallbacks.delete(callback) || scrollCallbacks.size > 0) return;
+    document.removeEventListener("scroll", handleScroll, { capture: true });
+  };
+}
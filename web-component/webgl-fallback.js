@@ -0,0 +1,183 @@
+/**
+ * WebGL2 path for browsers without WebGPU. Effects are written in GLSL
+ * with the same conventions as the WGSL snippets: `vec4 effect(vec2 uv)`
+ * (or just its body), `uniforms.*` from the same uniform layout, and
+ * `sampleImage()` plus the helper prelude.
+ */
+
+const VERTEX_SHADER = `
+out vec2 vUv;
+
+void main() {
+  vec2 pos = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1)) * 2.0 - 1.0;
+  vUv = vec2(pos.x * 0.5 + 0.5, 0.5 - pos.y * 0.5) * uniforms.uvTransform.xy
+    + uniforms.uvTransform.zw;
+  gl_Position = vec4(pos * uniforms.transform.xy + uniforms.transform.zw, 0.0, 1.0);
+}
+`;
+
+// Mirrors the WGSL entry point: transparent outside the fitted source
+const FRAGMENT_MAIN = `
+void main() {
+  vec4 color = effect(vUv);
+  bool inside = all(greaterThanEqual(vUv, vec2(0.0))) && all(lessThanEqual(vUv, vec2(1.0)));
+  fragColor = inside ? color : vec4(0.0);
+}
+`;
+
+export const GLSL_PRELUDE = `
+const float PI = 3.14159265359;
+const float TAU = 6.28318530718;
+
+uniform sampler2D tex;
+
+vec4 sampleImage(vec2 uv) {
+  return texture(tex, uv);
+}
+
+float luminance(vec3 color) {
+  return dot(color, vec3(0.299, 0.587, 0.114));
+}
+
+vec3 cosinePalette(float t, vec3 a, vec3 b, vec3 c, vec3 d) {
+  return a + b * cos(TAU * (c * t + d));
+}
+
+mat2 rotate2d(float angle) {
+  float s = sin(angle);
+  float c = cos(angle);
+  return mat2(c, -s, s, c);
+}
+
+float hash21(vec2 p) {
+  return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+`;
+
+/**
+ * @param {string} fragment
+ * @param {import("./uniforms.js").UniformLayout} uniformLayout
+ */
+export function buildGLSLShader(fragment, uniformLayout) {
+  const header = `#version 300 es\nprecision highp float;\n${uniformLayout.glsl}`;
+  const effect = /\bvec4\s+effect\s*\(/.test(fragment)
+    ? fragment
+    : `vec4 effect(vec2 uv) {\n${fragment}\n}`;
+  return {
+    vertex: `${header}${VERTEX_SHADER}`,
+    fragment: [
+      header,
+      "in vec2 vUv;",
+      "out vec4 fragColor;",
+      GLSL_PRELUDE,
+      effect,
+      FRAGMENT_MAIN,
+    ].join("\n"),
+  };
+}
+
+export class WebGLRenderer {
+  /**
+   * Throws when WebGL2 is unavailable or the shader doesn't compile, so
+   * callers can move on down the fallback chain.
+   * @param {HTMLCanvasElement} canvas
+   * @param {{
+   *   fragment: string,
+   *   uniformLayout: import("./uniforms.js").UniformLayout,
+   * }} options
+   */
+  constructor(canvas, { fragment, uniformLayout }) {
+    this.canvas = canvas;
+    const gl = canvas.getContext("webgl2", { premultipliedAlpha: true });
+    if (!gl) throw new Error("WebGL2 is not supported in this browser.");
+    this.gl = gl;
+
+    const source = buildGLSLShader(fragment, uniformLayout);
+    this.program = this.createProgram(source.vertex, source.fragment);
+
+    const blockIndex = gl.getUniformBlockIndex(this.program, "Uniforms");
+    gl.uniformBlockBinding(this.program, blockIndex, 0);
+    const blockSize = gl.getActiveUniformBlockParameter(
+      this.program,
+      blockIndex,
+      gl.UNIFORM_BLOCK_DATA_SIZE
+    );
+    this.uniformBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.UNIFORM_BUFFER, this.uniformBuffer);
+    gl.bufferData(
+      gl.UNIFORM_BUFFER,
+      Math.max(blockSize, uniformLayout.byteSize),
+      gl.DYNAMIC_DRAW
+    );
+    this.textureLocation = gl.getUniformLocation(this.program, "tex");
+
+    this.texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const { gl } = this;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`GLSL compilation failed: ${log}`);
+      }
+      return shader;
+    };
+    const vertexShader = compile(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`GLSL link failed: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+  }
+
+  /**
+   * @param {TexImageSource} source
+   */
+  setImage(source) {
+    const { gl } = this;
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  }
+
+  /**
+   * @param {Float32Array} uniformData - a `UniformBlock`'s data
+   */
+  render(uniformData) {
+    const { gl } = this;
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(this.program);
+    gl.bindBuffer(gl.UNIFORM_BUFFER, this.uniformBuffer);
+    gl.bufferSubData(gl.UNIFORM_BUFFER, 0, uniformData);
+    gl.bindBufferBase(gl.UNIFORM_BUFFER, 0, this.uniformBuffer);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.uniform1i(this.textureLocation, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  destroy() {
+    const { gl } = this;
+    gl.deleteTexture(this.texture);
+    gl.deleteBuffer(this.uniformBuffer);
+    gl.deleteProgram(this.program);
+  }
+}
@@ -0,0 +1,1298 @@
+import {
+  compositor,
+  type CompositorItem,
+  IDENTITY_TRANSFORM,
+} from "./compositor.js";
+import { deviceManager } from "./device-manager.js";
+import { createEffectPasses } from "./effects.js";
+import { type ExportOptions } from "./export.js";
+import { FrameLoop, type FrameloopMode, parseFrameloop } from "./frame-loop.js";
+import { type PassDefinition, type PassErrorDetail } from "./pass-graph.js";
+import { PointerTracker } from "./pointer.js";
+import { createRenderer, type Effect, type Renderer } from "./renderer.js";
+import {
+  getScriptPasses,
+  getScriptShader,
+  referencesTime,
+  referencesUniform,
+  TEXTURE_INPUTS,
+} from "./shader.js";
+import {
+  fitTransform,
+  IDENTITY_UV_TRANSFORM,
+  intrinsicSizeStyle,
+  type ObjectFit,
+  observeCanvasSize,
+  parsePosition,
+  type Size,
+} from "./sizing.js";
+import {
+  isVideoURL,
+  releaseTexture,
+  type SourceInput,
+  TextureSource,
+} from "./texture-source.js";
+import {
+  DEFAULT_TRANSITION_DURATION,
+  getTransitionNames,
+} from "./transitions.js";
+import {
+  type ParamSchema,
+  type ParamValue,
+  UniformBlock,
+  UniformLayout,
+} from "./uniforms.js";
+import {
+  observeScroll,
+  observeVisibility,
+  OFFSCREEN_RELEASE_DELAY,
+  scrollProgress,
+} from "./visibility.js";
+import { WebGLRenderer } from "./webgl-fallback.js";
+import { canRenderInWorker, WorkerRenderer } from "./worker-client.js";
+
+const EFFECT_PARAMS = {
+  tint: { type: "color", default: "#ffffff" },
+  amplitude: { type: "float", default: 0.025, min: 0, max: 0.5 },
+  frequency: { type: "float", default: 10, min: 0, max: 100 },
+  speed: { type: "float", default: 10, min: 0, max: 100 },
+} satisfies ParamSchema;
+const EFFECT_UNIFORMS = new UniformLayout(EFFECT_PARAMS);
+
+// `mask-src` loads the image shaders read as `mask`, and so on. Single
+// effects can read every input; passes bind those they list in `textures`.
+// `lut` takes a `.cube` file or LUT image, graded through with `intensity`;
+// `lut-src` is the same.
+const TEXTURE_ATTRIBUTES: Record<string, string> = {
+  ...Object.fromEntries(TEXTURE_INPUTS.map((name) => [`${name}-src`, name])),
+  lut: "lut",
+};
+
+// Milliseconds each slide shows for, transition included
+const DEFAULT_SLIDE_INTERVAL = 5000;
+
+/**
+ * Presence attributes are on whatever their value, so leave them out
+ * rather than setting them to `false`.
+ */
+type Presence = true | "";
+
+/**
+ * The element's attributes. Numbers and colors are written as their
+ * strings; JSX accepts them as numbers too.
+ */
+export interface WebGPUImageAttributes {
+  /** An image or video URL */
+  src?: string;
+  /**
+   * Image URLs, separated by whitespace, to cycle through in place of
+   * `src`, one every `interval` milliseconds while the element is near the
+   * viewport
+   */
+  slides?: string;
+  /** Defaults to 5000 */
+  interval?: number | string;
+  /**
+   * Registered transition shader, such as `"dissolve"` or `"wipe"`, that
+   * animates source changes. Without one, sources swap at once.
+   */
+  transition?: string;
+  /** In milliseconds. Defaults to 600. */
+  "transition-duration"?: number | string;
+  /** A CSS easing keyword or `cubic-bezier()` */
+  "transition-easing"?: string;
+  /**
+   * `"lazy"` waits for the element to near the viewport before fetching
+   * anything, and frees its GPU resources once it has been away for a while
+   */
+  loading?: "lazy" | "eager";
+  /** Images larger than this on either side are scaled down before upload */
+  "max-texture-size"?: number | string;
+  /**
+   * WGSL for the body of `fn effect(uv: vec2f) -> vec4f`, or code declaring
+   * `effect` itself. Wins over a `<script type="text/wgsl">` child.
+   */
+  shader?: string;
+  /**
+   * Registered preset names, separated by whitespace, chained as passes.
+   * Their parameters are attributes too, in kebab-case.
+   */
+  effect?: string;
+  /** Alt text for the plain image fallback */
+  alt?: string;
+  /** As `object-fit`. Defaults to `"fill"`. */
+  fit?: ObjectFit;
+  /** Keyword or percentage `object-position`. Defaults to `"50% 50%"`. */
+  position?: string;
+  /** See `invalidate()`. Defaults to `"always"`. */
+  frameloop?: FrameloopMode;
+  /** Draw through the shared page-wide canvas instead of a canvas per image */
+  compositor?: Presence;
+  /**
+   * Draw in the page's render worker, off the main thread. Only image URLs
+   * are drawn there; videos, the `source` property, `compositor` and
+   * transitions keep the element on the main thread.
+   */
+  worker?: Presence;
+  /**
+   * Without WebGPU, `"webgl"` renders the built-in effect through WebGL2,
+   * `"image"` shows the plain image and `"none"` renders nothing. Defaults
+   * to `"webgl"`.
+   */
+  fallback?: "webgl" | "image" | "none";
+  /** A `.cube` file or LUT image the output is graded through */
+  lut?: string;
+  "lut-src"?: string;
+  "reveal-src"?: string;
+  "displacement-src"?: string;
+  "mask-src"?: string;
+  /** The built-in effect's parameters */
+  tint?: string;
+  amplitude?: number | string;
+  frequency?: number | string;
+  speed?: number | string;
+  /**
+   * The presets' one-word parameters. Hyphenated names, such as
+   * `idle-radius`, need no declaring in JSX.
+   */
+  center?: string;
+  highlight?: string;
+  intensity?: number | string;
+  invert?: boolean | string;
+  luminance?: boolean | string;
+  radius?: number | string;
+  shadow?: string;
+  softness?: number | string;
+  strength?: number | string;
+}
+
+// Our transition events take the names of CSS transitions' own
+export interface WebGPUImageEventMap
+  extends Omit<HTMLElementEventMap, "transitionstart" | "transitionend"> {
+  /** The source, or a slide, failed to load; the last image keeps drawing */
+  error: ErrorEvent;
+  /** A shader failed to compile; the last good effect keeps drawing */
+  shadererror: CustomEvent<PassErrorDetail>;
+  /** The shared GPUDevice was lost; drawing pauses */
+  devicelost: Event;
+  /** Resources are rebuilt on the replacement device */
+  devicerestored: Event;
+  transitionstart: CustomEvent<WebGPUImageTransitionDetail>;
+  /** A transition completed, or was cut short by the next */
+  transitionend: CustomEvent<WebGPUImageTransitionDetail>;
+}
+
+export interface WebGPUImageTransitionDetail {
+  transition: string;
+  /** The index into `slides` of the incoming slide */
+  slide: number;
+}
+
+// Servers have no elements; there the class exists, for SSR imports, but
+// is never defined or constructed
+const ElementBase: typeof HTMLElement =
+  typeof HTMLElement === "undefined"
+    ? (class {} as typeof HTMLElement)
+    : HTMLElement;
+
+export class WebGPUImage extends ElementBase {
+  canvas: HTMLCanvasElement;
+  cssSize: Size = { width: 0, height: 0 };
+  uvTransform: number[] = IDENTITY_UV_TRANSFORM;
+  // The WebGL fallback's; WebGPU effects keep theirs in the renderer
+  uniforms = new UniformBlock(EFFECT_UNIFORMS);
+  renderer: Renderer | null = null;
+  /** Draws in place of `renderer` */
+  remote: WorkerRenderer | null = null;
+  glRenderer: WebGLRenderer | null = null;
+  device: GPUDevice | null = null;
+  deviceRequest: Promise<GPUDevice> | null = null;
+  context: GPUCanvasContext | null = null;
+  textureSource: TextureSource | null = null;
+  texture: GPUTexture | null = null;
+  textureWidth = 0;
+  textureHeight = 0;
+  startTime = 0;
+  loadGeneration = 0;
+  isLoadingSource = false;
+  isVisible = false;
+  readsScroll = false;
+  slideIndex = 0;
+  sourceInput: SourceInput | null = null;
+  passDefinitions: PassDefinition[] | null = null;
+  compositorItem: CompositorItem | null = null;
+  fallbackImage: HTMLImageElement | HTMLVideoElement | null = null;
+  pointer: PointerTracker | null = null;
+  scriptObserver: MutationObserver | null = null;
+  stopObservingCanvas: (() => void) | null = null;
+  stopObservingVisibility: (() => void) | null = null;
+  stopObservingScroll: (() => void) | null = null;
+  releaseTimer: ReturnType<typeof setTimeout> | undefined;
+  slideTimer: ReturnType<typeof setTimeout> | undefined;
+  frameLoop = new FrameLoop(() =>
+    this.glRenderer ? this.renderWebGL() : this.render()
+  );
+
+  constructor() {
+    super();
+    const shadowRoot = this.attachShadow({ mode: "open" });
+    this.canvas = document.createElement("canvas");
+    shadowRoot.appendChild(this.canvas);
+    this.style.display = "inline-block";
+    this.canvas.style.display = "block";
+    this.canvas.style.width = "100%";
+    this.canvas.style.height = "100%";
+    this.handleDeviceLost = this.handleDeviceLost.bind(this);
+    this.handleDeviceRestored = this.handleDeviceRestored.bind(this);
+  }
+
+  // Typed listeners for our events; the rest are HTMLElement's
+  addEventListener<K extends keyof WebGPUImageEventMap>(
+    type: K,
+    listener: (this: WebGPUImage, event: WebGPUImageEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ) {
+    super.addEventListener(type, listener, options);
+  }
+
+  removeEventListener<K extends keyof WebGPUImageEventMap>(
+    type: K,
+    listener: (this: WebGPUImage, event: WebGPUImageEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | EventListenerOptions
+  ) {
+    super.removeEventListener(type, listener, options);
+  }
+
+  // `transition`, `transition-duration` and `transition-easing` are read
+  // at each source change, so need no observing
+  static get observedAttributes() {
+    return [
+      "src",
+      "loading",
+      "max-texture-size",
+      "shader",
+      "effect",
+      "alt",
+      "fit",
+      "position",
+      "frameloop",
+      "slides",
+      "interval",
+      "worker",
+      "compositor",
+      "fallback",
+      ...Object.keys(TEXTURE_ATTRIBUTES),
+      ...EFFECT_UNIFORMS.attributes,
+    ];
+  }
+
+  async connectedCallback() {
+    this.scriptObserver = new MutationObserver((mutations) =>
+      this.handleMutations(mutations)
+    );
+    this.scriptObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+    });
+    deviceManager.addEventListener("devicelost", this.handleDeviceLost);
+    deviceManager.addEventListener("devicerestored", this.handleDeviceRestored);
+    this.observeCanvas();
+    this.pointer = new PointerTracker(this, () =>
+      this.frameLoop.requestFrame()
+    );
+    this.stopObservingVisibility = observeVisibility(this, (isVisible) =>
+      this.handleVisibilityChange(isVisible)
+    );
+    this.stopObservingScroll = observeScroll(() => {
+      if (!this.readsScroll || !this.isVisible) return;
+      if (this.remote) {
+        this.remote.setScroll(scrollProgress(this));
+      } else {
+        this.frameLoop.requestFrame();
+      }
+    });
+    if (this.input) {
+      await this.initWebGPU();
+    }
+  }
+
+  disconnectedCallback() {
+    this.scriptObserver?.disconnect();
+    this.stopObservingCanvas?.();
+    this.stopObservingCanvas = null;
+    this.pointer?.destroy();
+    this.pointer = null;
+    this.stopObservingVisibility?.();
+    this.stopObservingVisibility = null;
+    this.stopObservingScroll?.();
+    this.stopObservingScroll = null;
+    this.isVisible = false;
+    clearTimeout(this.releaseTimer);
+    clearTimeout(this.slideTimer);
+    deviceManager.removeEventListener("devicelost", this.handleDeviceLost);
+    deviceManager.removeEventListener(
+      "devicerestored",
+      this.handleDeviceRestored
+    );
+    this.releaseResources();
+  }
+
+  // Everything but the observers, so the element can load again later
+  releaseResources() {
+    this.loadGeneration++;
+    this.isLoadingSource = false;
+    if (this.compositorItem) compositor.remove(this.compositorItem);
+    this.compositorItem = null;
+    this.leaveWorker();
+    this.destroyResources();
+    this.textureSource?.destroy();
+    this.textureSource = null;
+    if (this.deviceRequest) {
+      this.deviceRequest = null;
+      this.device = null;
+      deviceManager.release();
+    }
+  }
+
+  // Loads again into a fresh canvas, for a change of where drawing happens:
+  // a canvas keeps its first context, and the last frame drawn into it
+  restart() {
+    if (!this.textureSource && !this.remote) return;
+    this.releaseResources();
+    this.replaceCanvas();
+    this.observeCanvas();
+    this.initWebGPU();
+  }
+
+  /**
+   * `loading="lazy"` waits for the element to near the viewport before
+   * fetching anything, and frees its GPU resources once it has been away
+   * for a while. Both modes stop drawing while offscreen.
+   */
+  get isLazy() {
+    return this.getAttribute("loading") === "lazy";
+  }
+
+  handleVisibilityChange(isVisible: boolean) {
+    this.isVisible = isVisible;
+    clearTimeout(this.releaseTimer);
+    this.remote?.setVisible(isVisible);
+    if (isVisible) {
+      if (this.textureSource || this.remote) {
+        this.resumeRendering();
+      } else if (!this.isLoadingSource) {
+        this.initWebGPU();
+      }
+      return;
+    }
+    this.frameLoop.stop();
+    if (this.isLazy) {
+      this.releaseTimer = setTimeout(
+        () => this.releaseResources(),
+        OFFSCREEN_RELEASE_DELAY
+      );
+    }
+  }
+
+  // Standalone only; the compositor runs its own loop
+  resumeRendering() {
+    if (!this.isVisible) return;
+    if (this.glRenderer || (this.context && this.renderer)) {
+      this.frameLoop.invalidate();
+      this.frameLoop.start();
+    }
+  }
+
+  /**
+   * Schedules a redraw. `frameloop="always"` (default) draws every frame.
+   * `"demand"` draws after attribute, pass, pointer, size or source changes,
+   * or a call to `invalidate()`, and every frame while the effect is
+   * animated or the source is a video or canvas. `"never"` only redraws on
+   * `invalidate()`, besides the first frame after a resize or a new effect.
+   */
+  invalidate() {
+    this.frameLoop.invalidate();
+    this.remote?.invalidate();
+  }
+
+  // What the effect needs from the frame loop: demand mode keeps drawing
+  // while it's animated (declared, or reading `uniforms.time`), and redraws
+  // on scroll when it reads `uniforms.scroll`
+  inspectEffect() {
+    const { glRenderer, glslShaderCode, renderer } = this;
+    this.frameLoop.animated =
+      Boolean(this.textureSource?.isDynamic) ||
+      (glRenderer
+        ? referencesTime(glslShaderCode)
+        : Boolean(renderer?.isAnimated));
+    this.readsScroll = glRenderer
+      ? referencesUniform(glslShaderCode, "scroll")
+      : Boolean(renderer?.readsUniform("scroll"));
+  }
+
+  attributeChangedCallback(
+    name: string,
+    oldValue: string | null,
+    newValue: string | null
+  ) {
+    if (name === "src" && oldValue !== newValue) {
+      this.initWebGPU();
+    } else if (name === "slides" && oldValue !== newValue) {
+      this.slideIndex = 0;
+      this.initWebGPU();
+    } else if (name === "interval") {
+      this.scheduleSlide();
+    } else if (name === "loading") {
+      if (!this.textureSource && !this.isLoadingSource && !this.remote) {
+        this.initWebGPU();
+      }
+    } else if (name === "max-texture-size") {
+      if ((this.textureSource || this.remote) && oldValue !== newValue) {
+        this.initWebGPU();
+      }
+    } else if (name === "worker") {
+      if ((oldValue === null) !== (newValue === null)) this.initWebGPU();
+    } else if (name === "compositor") {
+      if ((oldValue === null) !== (newValue === null)) this.restart();
+    } else if (name === "fallback") {
+      // Only matters once WebGPU has turned out to be unavailable
+      if (this.glRenderer || this.fallbackImage) {
+        this.resetFallback();
+        this.renderFallback();
+      }
+    } else if (name === "shader" || name === "effect") {
+      this.updatePipeline();
+    } else if (name === "alt") {
+      if (this.fallbackImage instanceof HTMLImageElement) {
+        this.fallbackImage.alt = newValue ?? "";
+      }
+    } else if (name === "fit" || name === "position") {
+      this.updateFit();
+    } else if (name === "frameloop") {
+      this.frameLoop.setMode(parseFrameloop(newValue));
+      this.remote?.setFrameloop(newValue);
+    } else if (name in TEXTURE_ATTRIBUTES) {
+      this.loadTextureInputs();
+    } else {
+      this.uniforms.setAttribute(name, newValue);
+    }
+    this.frameLoop.requestFrame();
+  }
+
+  /**
+   * Child edits rebuild the effect. Our own attributes can't all be listed in
+   * `observedAttributes`, since preset and pass parameters vary, so they are
+   * forwarded to the renderer from here.
+   */
+  handleMutations(mutations: MutationRecord[]) {
+    let rebuild = false;
+    for (const { type, target, attributeName } of mutations) {
+      if (type === "attributes" && target === this) {
+        const name = attributeName as string;
+        const value = this.getAttribute(name);
+        this.renderer?.setAttribute(name, value);
+        this.remote?.setAttribute(name, value);
+      } else {
+        rebuild = true;
+      }
+    }
+    if (rebuild) this.updatePipeline();
+    this.frameLoop.requestFrame();
+  }
+
+  /**
+   * A video, canvas, `OffscreenCanvas`, `ImageBitmap` or `MediaStream` to
+   * read from instead of the `src` URL.
+   */
+  get source(): SourceInput | null {
+    return this.sourceInput;
+  }
+
+  set source(input: SourceInput | null) {
+    this.sourceInput = input;
+    this.initWebGPU();
+  }
+
+  /**
+   * `slides` lists image URLs, separated by whitespace, to cycle through
+   * every `interval` milliseconds in place of `src`.
+   */
+  get slides() {
+    return this.getAttribute("slides")?.split(/\s+/).filter(Boolean) ?? [];
+  }
+
+  // What to show: the `source` property, the current slide, or `src`
+  get input() {
+    const { slides } = this;
+    return (
+      this.sourceInput ??
+      slides[this.slideIndex % slides.length] ??
+      this.getAttribute("src")
+    );
+  }
+
+  /**
+   * Shows a slide, transitioning to it like any other source change. The
+   * index wraps around.
+   */
+  showSlide(index: number) {
+    const count = this.slides.length;
+    if (count === 0) return;
+    this.slideIndex = ((index % count) + count) % count;
+    this.initWebGPU();
+  }
+
+  // Advances once the current slide has shown for `interval`; offscreen
+  // slideshows hold still
+  scheduleSlide() {
+    clearTimeout(this.slideTimer);
+    if (this.slides.length < 2 || this.sourceInput) return;
+    const interval =
+      Number(this.getAttribute("interval")) || DEFAULT_SLIDE_INTERVAL;
+    this.slideTimer = setTimeout(() => {
+      if (this.isVisible) {
+        this.showSlide(this.slideIndex + 1);
+      } else {
+        this.scheduleSlide();
+      }
+    }, interval);
+  }
+
+  /**
+   * `transition` names the shader that animates source changes, from
+   * transitions.js; without one, or with `none`, sources swap at once.
+   */
+  get transitionName() {
+    const name = this.getAttribute("transition");
+    return name && getTransitionNames().includes(name) ? name : null;
+  }
+
+  /**
+   * Hands the outgoing texture to the renderer to transition from, or
+   * releases it when there is nothing to animate. A change mid-transition
+   * cuts the running one short and starts over from its incoming image.
+   */
+  beginTransition(renderer: Renderer, previous: GPUTexture) {
+    const name = this.transitionName;
+    if (!name || !this.isVisible) {
+      releaseTexture(previous);
+      return;
+    }
+    // In milliseconds
+    const duration = parseFloat(this.getAttribute("transition-duration") ?? "");
+    renderer.beginTransition(name, previous, {
+      duration: isNaN(duration) ? DEFAULT_TRANSITION_DURATION : duration,
+      easing: this.getAttribute("transition-easing"),
+    });
+  }
+
+  dispatchTransitionEvent(
+    type: "transitionstart" | "transitionend",
+    name: string
+  ) {
+    this.dispatchEvent(
+      new CustomEvent(type, {
+        detail: { transition: name, slide: this.slideIndex },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  // The backing store follows the canvas' CSS size; the fallback canvas
+  // swap in createWebGLRenderer() observes the replacement.
+  observeCanvas() {
+    this.stopObservingCanvas?.();
+    this.stopObservingCanvas = observeCanvasSize(this.canvas, (size) => {
+      this.cssSize = size;
+      this.updateFit();
+      this.invalidate();
+    });
+  }
+
+  /**
+   * `fit` takes the `object-fit` values `fill` (default), `contain`, `cover`
+   * and `none`; `position` the keyword and percentage forms of
+   * `object-position`.
+   */
+  updateFit() {
+    const fit = this.getAttribute("fit") ?? "fill";
+    const position = this.getAttribute("position") ?? "50% 50%";
+    if (this.fallbackImage) {
+      this.fallbackImage.style.objectFit = fit;
+      this.fallbackImage.style.objectPosition = position;
+    }
+    this.remote?.setFit(fit, position);
+    if (!this.textureSource) return;
+    this.uvTransform = fitTransform(
+      fit,
+      parsePosition(position),
+      this.textureSource,
+      this.cssSize
+    );
+  }
+
+  async initWebGPU() {
+    const { input } = this;
+    if (!input || (this.isLazy && !this.isVisible)) return;
+    if (this.usesWorker) {
+      this.renderInWorker(input as string);
+      return;
+    }
+    this.leaveWorker();
+    const generation = ++this.loadGeneration;
+
+    // Images larger than this are scaled down before upload
+    const maxTextureSize =
+      Number(this.getAttribute("max-texture-size")) || undefined;
+    this.isLoadingSource = true;
+    let source;
+    try {
+      source = await TextureSource.load(input, { maxTextureSize });
+    } catch (error) {
+      if (generation !== this.loadGeneration) return;
+      this.dispatchLoadError(error);
+      // A slideshow moves on past a slide that doesn't load
+      this.scheduleSlide();
+      return;
+    } finally {
+      if (generation === this.loadGeneration) this.isLoadingSource = false;
+    }
+    // Superseded by another source, or released meanwhile
+    if (generation !== this.loadGeneration) {
+      source.destroy();
+      return;
+    }
+    this.textureSource?.destroy();
+    this.textureSource = source;
+    this.textureWidth = source.width;
+    this.textureHeight = source.height;
+
+    Object.assign(
+      this.canvas.style,
+      intrinsicSizeStyle(this.textureWidth, this.textureHeight)
+    );
+    this.updateFit();
+
+    // WebGPU entry point
+    const initialized = await this.initializeWebGPU();
+    if (generation !== this.loadGeneration) return;
+    if (!initialized) {
+      if (this.isConnected) this.renderFallback();
+      return;
+    }
+
+    this.startTime = performance.now();
+    this.scheduleSlide();
+    await this.startRendering();
+  }
+
+  // Texture input names to their attributes' URLs
+  get textureURLs() {
+    const urls: Record<string, string> = {};
+    for (const [attribute, name] of Object.entries(TEXTURE_ATTRIBUTES)) {
+      const url = urls[name] ?? this.getAttribute(attribute);
+      if (url) urls[name] = url;
+    }
+    return urls;
+  }
+
+  // Loaded by the renderer, which keeps those whose URL is unchanged
+  loadTextureInputs() {
+    const urls = this.textureURLs;
+    if (this.remote) {
+      this.remote.setTextures(urls);
+      return;
+    }
+    const maxTextureSize =
+      Number(this.getAttribute("max-texture-size")) || undefined;
+    this.renderer?.setTextureURLs(urls, { maxTextureSize });
+  }
+
+  // fallback="webgl" (default) tries a WebGL2 port of the built-in effect,
+  // then the plain image; fallback="image" skips straight to the image and
+  // fallback="none" renders nothing.
+  renderFallback() {
+    const mode = this.getAttribute("fallback") ?? "webgl";
+    const source = this.textureSource;
+    if (mode === "none" || !source) return;
+    this.startTime = performance.now();
+
+    // Custom WGSL has no GLSL counterpart
+    if (mode === "webgl" && this.fragmentShader === this.shaderCode) {
+      try {
+        this.glRenderer ??= this.createWebGLRenderer();
+        this.glRenderer.setImage(source.uploadSource);
+        this.inspectEffect();
+        this.resumeRendering();
+        return;
+      } catch (error) {
+        console.warn("WebGL fallback failed:", error);
+        this.glRenderer = null;
+      }
+    }
+    this.showFallbackImage();
+  }
+
+  // Undoes renderFallback(), putting the canvas back
+  resetFallback() {
+    this.frameLoop.stop();
+    this.glRenderer?.destroy();
+    this.glRenderer = null;
+    this.fallbackImage?.replaceWith(this.canvas);
+    this.fallbackImage = null;
+  }
+
+  createWebGLRenderer() {
+    // The WebGPU attempt may already own the shadow canvas' context
+    this.replaceCanvas();
+    this.observeCanvas();
+    return new WebGLRenderer(this.canvas, {
+      fragment: this.glslShaderCode,
+      uniformLayout: EFFECT_UNIFORMS,
+    });
+  }
+
+  // A canvas keeps its first context, and hands its control to a worker
+  // once; a fresh copy takes another
+  replaceCanvas() {
+    const canvas = this.canvas.cloneNode() as HTMLCanvasElement;
+    this.canvas.replaceWith(canvas);
+    this.canvas = canvas;
+  }
+
+  /**
+   * `worker` draws in the page's render worker, off the main thread. Only
+   * image URLs are drawn there; videos, the `source` property, `compositor`
+   * and transitions keep the element on the main thread, as do browsers
+   * without WebGPU in workers.
+   */
+  get usesWorker() {
+    const { input } = this;
+    return (
+      this.hasAttribute("worker") &&
+      !this.hasAttribute("compositor") &&
+      typeof input === "string" &&
+      !isVideoURL(input) &&
+      canRenderInWorker()
+    );
+  }
+
+  /**
+   * Hands the canvas to the render worker, once, and loads `url` there.
+   */
+  renderInWorker(url: string) {
+    if (!this.remote) {
+      this.releaseResources();
+      this.replaceCanvas();
+      // The worker sizes the canvas it now owns
+      this.stopObservingCanvas?.();
+      this.stopObservingCanvas = null;
+      this.remote = this.createWorkerRenderer();
+    }
+    const maxTextureSize =
+      Number(this.getAttribute("max-texture-size")) || undefined;
+    this.remote.setSource(url, maxTextureSize);
+    this.loadTextureInputs();
+    this.updatePipeline();
+  }
+
+  createWorkerRenderer() {
+    const remote = new WorkerRenderer(this.canvas, {
+      pointerTarget: this,
+      onLoad: (width, height) => {
+        this.textureWidth = width;
+        this.textureHeight = height;
+        Object.assign(this.canvas.style, intrinsicSizeStyle(width, height));
+        this.scheduleSlide();
+      },
+      onError: (message, fatal) => {
+        if (!fatal) {
+          this.dispatchLoadError(new Error(message));
+          this.scheduleSlide();
+          return;
+        }
+        console.error(message);
+        // The worker is gone, and with it the canvas; start over on the
+        // main thread, which canRenderInWorker() now points to
+        this.leaveWorker();
+        this.initWebGPU();
+      },
+      onShaderError: (detail) => this.dispatchShaderError(detail),
+      onEffect: (readsScroll) => {
+        this.readsScroll = readsScroll;
+        if (readsScroll) remote.setScroll(scrollProgress(this));
+      },
+      onDeviceLost: () =>
+        this.dispatchEvent(
+          new Event("devicelost", { bubbles: true, composed: true })
+        ),
+      onDeviceRestored: () =>
+        this.dispatchEvent(
+          new Event("devicerestored", { bubbles: true, composed: true })
+        ),
+    });
+    for (const { name, value } of this.attributes) {
+      remote.setAttribute(name, value);
+    }
+    remote.setFrameloop(this.getAttribute("frameloop"));
+    remote.setFit(
+      this.getAttribute("fit") ?? "fill",
+      this.getAttribute("position") ?? "50% 50%"
+    );
+    remote.setVisible(this.isVisible);
+    return remote;
+  }
+
+  // Back to drawing on the main thread, in a canvas of our own again
+  leaveWorker() {
+    if (!this.remote) return;
+    this.remote.destroy();
+    this.remote = null;
+    this.replaceCanvas();
+    if (this.isConnected) this.observeCanvas();
+  }
+
+  // Only sources loaded from `src` are ours to show. Cached images are
+  // decoded bitmaps, so those get an <img> of their own.
+  showFallbackImage() {
+    const src = this.getAttribute("src");
+    if (this.sourceInput || !src) return;
+    const video = this.textureSource?.element;
+    const element =
+      video instanceof HTMLVideoElement
+        ? video
+        : Object.assign(new Image(), {
+            src,
+            alt: this.getAttribute("alt") ?? "",
+          });
+    Object.assign(element.style, {
+      display: "block",
+      width: "100%",
+      height: "100%",
+    });
+    (this.fallbackImage ?? this.canvas).replaceWith(element);
+    this.fallbackImage = element;
+    this.updateFit();
+  }
+
+  renderWebGL() {
+    const { glRenderer, textureSource } = this;
+    if (!glRenderer || !textureSource) return;
+    if (textureSource.isDynamic)
+      glRenderer.setImage(textureSource.uploadSource);
+    this.uniforms.set("resolution", [this.canvas.width, this.canvas.height]);
+    this.uniforms.set("uvTransform", this.uvTransform);
+    this.uniforms.set("time", (performance.now() - this.startTime) / 1000);
+    this.setInputUniforms();
+    glRenderer.render(this.uniforms.data);
+  }
+
+  async startRendering() {
+    if (this.hasAttribute("compositor")) {
+      await this.addToCompositor();
+    } else {
+      this.resumeRendering();
+    }
+  }
+
+  destroyResources() {
+    this.frameLoop.stop();
+    if (this.texture) releaseTexture(this.texture);
+    // The source stays loaded for the next device
+    this.renderer?.destroy();
+    this.texture = null;
+    this.renderer = null;
+    this.glRenderer?.destroy();
+    this.glRenderer = null;
+  }
+
+  handleDeviceLost() {
+    if (!this.deviceRequest) return;
+    this.destroyResources();
+    this.device = null;
+    // Resolves with the replacement; our reference carries over to it
+    this.deviceRequest = deviceManager.requestDevice();
+    this.dispatchEvent(
+      new Event("devicelost", { bubbles: true, composed: true })
+    );
+  }
+
+  async handleDeviceRestored() {
+    if (!this.deviceRequest || !this.textureSource) return;
+    // Rebuilt from the retained image, uniforms and shader source
+    if (!(await this.initializeWebGPU())) return;
+    await this.startRendering();
+    this.dispatchEvent(
+      new Event("devicerestored", { bubbles: true, composed: true })
+    );
+  }
+
+  // The shadow canvas is kept unconfigured for layout only; pixels are drawn
+  // by the page-wide compositor canvas.
+  async addToCompositor() {
+    if (this.compositorItem) return;
+    this.compositorItem = {
+      element: this.canvas,
+      update: (transform) => {
+        if (!this.renderer) return;
+        this.refreshSource();
+        this.updateUniformBuffer(
+          (performance.now() - this.startTime) / 1000,
+          transform
+        );
+      },
+      draw: (passEncoder) => this.renderer?.draw(passEncoder),
+      encode: (commandEncoder) => this.renderer?.encode(commandEncoder),
+      needsRedraw: () => this.frameLoop.takeFrame(),
+    };
+    try {
+      await compositor.add(this.compositorItem);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async initializeWebGPU() {
+    if (!navigator.gpu) {
+      console.error("WebGPU is not supported in this browser.");
+      return false;
+    }
+    const useCompositor = this.hasAttribute("compositor");
+    this.context = useCompositor ? null : this.canvas.getContext("webgpu");
+    if (!useCompositor && !this.context) {
+      console.error("Failed to get WebGPU context");
+      return false;
+    }
+    // attributeChangedCallback and connectedCallback can both land here
+    this.deviceRequest ??= deviceManager.acquire();
+    let device;
+    try {
+      device = this.device = await this.deviceRequest;
+    } catch (error) {
+      this.deviceRequest = null;
+      console.error(error);
+      return false;
+    }
+    const source = this.textureSource;
+    if (!this.isConnected || !source) return false;
+
+    // Videos are imported each frame rather than copied into a texture
+    const texture = source.isExternal
+      ? null
+      : await source.acquireTexture(device);
+    if (!this.isConnected || source !== this.textureSource) {
+      if (texture) releaseTexture(texture);
+      // A newer source finishes the setup in its own call
+      return this.isConnected;
+    }
+    // Effects built for the other texture type can't be reused
+    if (this.renderer?.isExternal !== source.isExternal) {
+      this.renderer?.destroy();
+      this.renderer = this.createWebGPURenderer(device, source.isExternal);
+    }
+    const { renderer } = this;
+    if (this.texture) this.beginTransition(renderer, this.texture);
+    this.texture = texture;
+    if (texture) renderer.setSource(texture);
+    this.loadTextureInputs();
+    await this.updatePipeline();
+    return true;
+  }
+
+  /**
+   * A renderer for the current device, carrying over our attributes. The
+   * effect and texture inputs follow in initializeWebGPU().
+   */
+  createWebGPURenderer(device: GPUDevice, external: boolean) {
+    const { context } = this;
+    const renderer = createRenderer({
+      device,
+      // The compositor draws in its own render pass, in the canvas format
+      target: context,
+      format: context ? undefined : navigator.gpu.getPreferredCanvasFormat(),
+      external,
+      fallback: this.effectPass,
+      onError: (detail) => this.dispatchShaderError(detail),
+      onChange: () => {
+        if (renderer !== this.renderer) return;
+        this.inspectEffect();
+        this.invalidate();
+      },
+      onTransitionStart: (name) =>
+        this.dispatchTransitionEvent("transitionstart", name),
+      onTransitionEnd: (name) =>
+        this.dispatchTransitionEvent("transitionend", name),
+    });
+    for (const { name, value } of this.attributes) {
+      renderer.setAttribute(name, value);
+    }
+    return renderer;
+  }
+
+  // Canvases are copied again and video frames imported every frame; an
+  // imported frame expires with the task, so it is rebound each time.
+  refreshSource() {
+    const source = this.textureSource;
+    if (!source?.isDynamic || !this.device) return;
+    const external = source.refresh(this.device, this.texture);
+    if (external) {
+      this.renderer?.setSource(external, source.width, source.height);
+    }
+  }
+
+  // A `shader` attribute wins over a <script type="text/wgsl"> child
+  get fragmentShader() {
+    return (
+      this.getAttribute("shader") ?? getScriptShader(this) ?? this.shaderCode
+    );
+  }
+
+  /**
+   * Multi-pass effects, set from script, built from the `effect` presets or
+   * read from `<script type="text/wgsl" data-pass>` children, in that order
+   * of precedence. When present they replace the single effect. Empty
+   * while the single effect draws, or while `effect` names an unknown
+   * preset, which the renderer reports.
+   */
+  get passes(): PassDefinition[] {
+    const effect = this.currentEffect;
+    if (typeof effect === "string") {
+      try {
+        return createEffectPasses(effect);
+      } catch {
+        return [];
+      }
+    }
+    return Array.isArray(effect) ? (effect as PassDefinition[]) : [];
+  }
+
+  set passes(passes: PassDefinition[] | null) {
+    this.passDefinitions = passes?.length ? passes : null;
+    this.updatePipeline();
+  }
+
+  /** Sets a parameter of one of `passes`, by the pass's name */
+  setPassParam(pass: string, param: string, value: ParamValue | undefined) {
+    this.renderer?.set(pass, param, value);
+    this.remote?.set(pass, param, value);
+    this.frameLoop.requestFrame();
+  }
+
+  /**
+   * Renders the current effect state into a texture of its own and reads
+   * it back, at any size and independent of the canvas. The whole image is
+   * drawn, whatever `fit` is.
+   */
+  async export(options: ExportOptions = {}): Promise<Blob | ImageData> {
+    if (this.remote) return this.remote.export(options);
+    const { renderer } = this;
+    if (!renderer) throw new Error("There is no WebGPU rendering to export");
+    this.refreshSource();
+    try {
+      return await renderer.export(options, {
+        time: (performance.now() - this.startTime) / 1000,
+      });
+    } finally {
+      // Puts the canvas's uniforms back
+      this.invalidate();
+    }
+  }
+
+  /**
+   * Reads back a compute pass's buffer as of the last frame, such as
+   * `histogram` from the `histogram` effect.
+   */
+  async readBuffer(name: string): Promise<Uint32Array> {
+    if (this.remote) return this.remote.readBuffer(name);
+    if (!this.renderer) throw new Error(`No pass has a buffer named "${name}"`);
+    return this.renderer.readBuffer(name);
+  }
+
+  dispatchLoadError(error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("Failed to load the image:", message);
+    // Like an <img>'s, it doesn't bubble
+    this.dispatchEvent(new ErrorEvent("error", { message, error }));
+  }
+
+  dispatchShaderError(detail: PassErrorDetail) {
+    console.error("Shader compilation failed:", detail.message);
+    this.dispatchEvent(
+      new CustomEvent("shadererror", {
+        detail,
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /** The built-in or custom single effect, as a pass */
+  get effectPass(): PassDefinition {
+    return {
+      name: "effect",
+      fragment: this.fragmentShader,
+      params: EFFECT_PARAMS,
+      textures: TEXTURE_INPUTS,
+    };
+  }
+
+  /**
+   * What `updatePipeline()` draws: `passes`, with unknown presets left for
+   * the renderer to report, or else the single effect.
+   */
+  get currentEffect(): Effect {
+    const passes =
+      this.passDefinitions ||
+      this.getAttribute("effect") ||
+      getScriptPasses(this, (detail) => this.dispatchShaderError(detail));
+    return passes.length > 0 ? passes : this.effectPass;
+  }
+
+  async updatePipeline() {
+    if (this.remote) {
+      this.remote.setEffect(this.currentEffect, this.effectPass);
+      return;
+    }
+    const { renderer } = this;
+    if (!renderer) return;
+    const applied = await renderer.setEffect(
+      this.currentEffect,
+      this.effectPass
+    );
+    if (!applied || renderer !== this.renderer) return;
+    this.inspectEffect();
+    this.invalidate();
+  }
+
+  // Pointer and scroll state. Advances the pointer's smoothing, asking for
+  // frames until it settles.
+  inputUniforms() {
+    const scroll = this.readsScroll ? scrollProgress(this) : 0;
+    if (!this.pointer) return { scroll };
+    if (this.pointer.update()) this.frameLoop.requestFrame();
+    return { ...this.pointer.uniforms(this.uvTransform), scroll };
+  }
+
+  setInputUniforms() {
+    for (const [name, value] of Object.entries(this.inputUniforms())) {
+      this.uniforms.set(name, value);
+    }
+  }
+
+  updateUniformBuffer(
+    time: number,
+    transform: ArrayLike<number> = IDENTITY_TRANSFORM
+  ) {
+    const { renderer } = this;
+    renderer?.update({
+      transform,
+      uvTransform: this.uvTransform,
+      resolution: [this.canvas.width, this.canvas.height],
+      time,
+      ...this.inputUniforms(),
+    });
+    // Transitions draw in every frameloop mode, like the first frame of a
+    // new source
+    if (renderer?.isTransitioning) this.frameLoop.invalidate();
+  }
+
+  render() {
+    this.refreshSource();
+    this.updateUniformBuffer((performance.now() - this.startTime) / 1000);
+    this.renderer?.render();
+  }
+
+  shaderCode = `
+    fn palette(t: f32) -> vec3<f32> {
+        let a = vec3<f32>(0.8, 0.8, 0.9);
+        let b = vec3<f32>(0.2, 0.1, 0.1);
+        let c = vec3<f32>(1.0, 1.0, 1.0);
+        let d = vec3<f32>(0.0 + 0.18 * cos(0.1 * uniforms.time), 0.33 + 0.18 * sin(0.2 * uniforms.time), 0.67);
+        return cosinePalette(t, a, b, c, d);
+    }
+
+    fn offset(uv: vec2f) -> vec2f {
+      let amplitude = uniforms.amplitude;
+      let frequency = uniforms.frequency;
+      let phase = uniforms.time * uniforms.speed;
+      return (uv + vec2f(amplitude * sin(frequency * uv.x + phase) * 0., amplitude * sin(frequency * uv.x + phase)));
+    }
+
+    fn effect(uv: vec2f) -> vec4f {
+      let offsetUV = offset(uv);
+      let texColor = sampleImage(offsetUV);
+      let luminance = 1.-luminance(texColor.rgb);
+      let tint = vec4f(
+        palette(uniforms.time * .5 + luminance).r,
+        palette(uniforms.time * .5 + uv.y ).g,
+        palette(uniforms.time * .5 + uv.x ).b,
+        1.0
+      ) * 2.;
+      return clamp(texColor * tint * uniforms.tint, vec4f(0.0), vec4f(1.0));
+    }
+  `;
+
+  // GLSL port of `shaderCode` for the WebGL2 fallback
+  glslShaderCode = `
+    vec3 palette(float t) {
+      vec3 a = vec3(0.8, 0.8, 0.9);
+      vec3 b = vec3(0.2, 0.1, 0.1);
+      vec3 c = vec3(1.0, 1.0, 1.0);
+      vec3 d = vec3(0.0 + 0.18 * cos(0.1 * uniforms.time), 0.33 + 0.18 * sin(0.2 * uniforms.time), 0.67);
+      return cosinePalette(t, a, b, c, d);
+    }
+
+    vec2 offset(vec2 uv) {
+      float phase = uniforms.time * uniforms.speed;
+      return uv + vec2(0.0, uniforms.amplitude * sin(uniforms.frequency * uv.x + phase));
+    }
+
+    vec4 effect(vec2 uv) {
+      vec4 texColor = sampleImage(offset(uv));
+      float inverseLuminance = 1.0 - luminance(texColor.rgb);
+      vec4 tint = vec4(
+        palette(uniforms.time * .5 + inverseLuminance).r,
+        palette(uniforms.time * .5 + uv.y).g,
+        palette(uniforms.time * .5 + uv.x).b,
+        1.0
+      ) * 2.;
+      return clamp(texColor * tint * uniforms.tint, vec4(0.0), vec4(1.0));
+    }
+  `;
+}
+
+if (
+  typeof customElements !== "undefined" &&
+  !customElements.get("webgpu-image")
+) {
+  customElements.define("webgpu-image", WebGPUImage);
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "webgpu-image": WebGPUImage;
+  }
+}
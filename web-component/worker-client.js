@@ -0,0 +1,348 @@
+/**
+ * The page's side of worker rendering: hands a canvas to the shared render
+ * worker (render-worker.js, which lists the messages) and forwards its
+ * size, pointer input and every state change. One worker serves every
+ * canvas on the page, over a single shared device.
+ */
+
+import { observePointer } from "./pointer.js";
+import { observeCanvasSize } from "./sizing.js";
+
+/**
+ * @typedef {object} WorkerRendererOptions
+ * @property {Element} [pointerTarget] - where pointer input is observed;
+ *   defaults to the canvas
+ * @property {(width: number, height: number) => void} [onLoad] - with the
+ *   source's natural size
+ * @property {(message: string, fatal: boolean) => void} [onError] - the
+ *   source failed to load, or, when `fatal`, the worker failed or has no
+ *   WebGPU. The canvas is lost then: replace it to draw on the main thread.
+ * @property {(detail: import("./pass-graph.js").PassErrorDetail) => void} [onShaderError]
+ * @property {(readsScroll: boolean) => void} [onEffect] - a new effect is
+ *   drawing
+ * @property {() => void} [onDeviceLost]
+ * @property {() => void} [onDeviceRestored]
+ */
+
+/**
+ * Set once the worker fails to start, crashes or finds no WebGPU
+ * @type {string | null}
+ */
+let failure = null;
+
+/**
+ * Whether canvases can be handed to a render worker here. Workers need
+ * WebGPU of their own, which Safari and Firefox don't offer everywhere
+ * they offer it on the main thread, and which the page can't detect: the
+ * first canvas finds out, failing with a fatal `onError`, and this is
+ * false from then on.
+ */
+export const canRenderInWorker = () =>
+  failure === null &&
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  "transferControlToOffscreen" in HTMLCanvasElement.prototype &&
+  typeof navigator !== "undefined" &&
+  "gpu" in navigator;
+
+/** @type {Worker | null} */
+let worker = null;
+/** @type {Map<number, WorkerRenderer>} */
+const renderers = new Map();
+let nextId = 1;
+
+/**
+ * @param {MessageEvent} event
+ */
+function handleMessage(event) {
+  const [type, id, ...args] = event.data;
+  renderers.get(id)?.handleMessage(type, args);
+}
+
+/**
+ * Ends worker rendering for the page, failing every canvas handed over.
+ * @param {string} message
+ */
+function fail(message) {
+  failure = message;
+  worker?.terminate();
+  worker = null;
+  for (const renderer of [...renderers.values()]) renderer.fail(message);
+}
+
+// Started with the first canvas and kept for the page's lifetime. A
+// message that can't be deserialized may have settled a call, so it's as
+// fatal as an error.
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("./render-worker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.addEventListener("message", handleMessage);
+    worker.addEventListener("error", (event) =>
+      fail(event.message || "The render worker failed to run")
+    );
+    worker.addEventListener("messageerror", () =>
+      fail("The render worker sent a message that couldn't be read")
+    );
+  }
+  return worker;
+}
+
+/**
+ * A canvas drawn by the render worker. The canvas can't be drawn from the
+ * page again; replace it to go back to rendering on the main thread.
+ */
+export class WorkerRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {WorkerRendererOptions} [options]
+   */
+  constructor(
+    canvas,
+    {
+      pointerTarget = canvas,
+      onLoad,
+      onError,
+      onShaderError,
+      onEffect,
+      onDeviceLost,
+      onDeviceRestored,
+    } = {}
+  ) {
+    this.id = nextId++;
+    this.callbacks = {
+      onLoad,
+      onError,
+      onShaderError,
+      onEffect,
+      onDeviceLost,
+      onDeviceRestored,
+    };
+    this.nextCallId = 1;
+    /** @type {Map<number, { resolve: (value: any) => void, reject: (error: Error) => void }>} */
+    this.calls = new Map();
+    renderers.set(this.id, this);
+
+    const offscreen = canvas.transferControlToOffscreen();
+    getWorker().postMessage(["create", this.id, offscreen], [offscreen]);
+    this.stopObservingSize = observeCanvasSize(
+      canvas,
+      ({ width, height }, pixels) =>
+        this.post("size", ...pixels, width, height),
+      { assign: false }
+    );
+    this.stopObservingPointer = observePointer(
+      pointerTarget,
+      ({ type, pointerId, isPrimary, point }) =>
+        this.post("pointer", type, pointerId, isPrimary, ...point)
+    );
+  }
+
+  /**
+   * @param {string} type
+   * @param {...unknown} args
+   */
+  post(type, ...args) {
+    worker?.postMessage([type, this.id, ...args]);
+  }
+
+  /**
+   * @param {string} type
+   * @param {any[]} args
+   */
+  handleMessage(type, args) {
+    const { callbacks } = this;
+    switch (type) {
+      case "load":
+        callbacks.onLoad?.(args[0], args[1]);
+        break;
+      case "error":
+        callbacks.onError?.(args[0], false);
+        break;
+      case "unsupported":
+        fail(args[0]);
+        break;
+      case "shadererror":
+        callbacks.onShaderError?.(args[0]);
+        break;
+      case "effect":
+        callbacks.onEffect?.(args[0]);
+        break;
+      case "devicelost":
+        callbacks.onDeviceLost?.();
+        break;
+      case "devicerestored":
+        callbacks.onDeviceRestored?.();
+        break;
+      case "result": {
+        const [callId, value, error] = args;
+        const call = this.calls.get(callId);
+        this.calls.delete(callId);
+        if (error === null) {
+          call?.resolve(value);
+        } else {
+          call?.reject(new Error(error));
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * @param {string} method
+   * @param {...unknown} args
+   * @returns {Promise<any>}
+   */
+  call(method, ...args) {
+    // Nothing would answer
+    if (!worker || !renderers.has(this.id)) {
+      return Promise.reject(new Error(failure ?? "The renderer was destroyed"));
+    }
+    const callId = this.nextCallId++;
+    return new Promise((resolve, reject) => {
+      this.calls.set(callId, { resolve, reject });
+      this.post("call", callId, method, ...args);
+    });
+  }
+
+  /**
+   * Loads an image URL, relative to the page, in the worker.
+   * @param {string} url
+   * @param {number} [maxTextureSize]
+   */
+  setSource(url, maxTextureSize) {
+    this.post("source", new URL(url, document.baseURI).href, maxTextureSize);
+  }
+
+  /**
+   * @param {import("./renderer.js").Effect} effect
+   * @param {import("./renderer.js").Effect | null} [fallback] - drawn when
+   *   `effect` doesn't form a valid graph
+   */
+  setEffect(effect, fallback = null) {
+    this.post("effect", effect, fallback);
+  }
+
+  /**
+   * Replaces every texture input; unlisted ones are unbound.
+   * @param {Record<string, string>} urls - by input name
+   */
+  setTextures(urls) {
+    const absolute = Object.fromEntries(
+      Object.entries(urls).map(([name, url]) => [
+        name,
+        new URL(url, document.baseURI).href,
+      ])
+    );
+    this.post("textures", absolute);
+  }
+
+  /**
+   * @param {string} name
+   * @param {string | null} value
+   */
+  setAttribute(name, value) {
+    this.post("attribute", name, value);
+  }
+
+  /**
+   * @param {string} name
+   * @param {import("./uniforms.js").ParamValue | undefined} value
+   */
+  setParam(name, value) {
+    this.post("param", name, value);
+  }
+
+  /**
+   * @param {string} pass
+   * @param {string} name
+   * @param {import("./uniforms.js").ParamValue | undefined} value
+   */
+  set(pass, name, value) {
+    this.post("set", pass, name, value);
+  }
+
+  /**
+   * @param {string | null} fit
+   * @param {string | null} position
+   */
+  setFit(fit, position) {
+    this.post("fit", fit, position);
+  }
+
+  /**
+   * Starts or stops drawing.
+   * @param {boolean} isVisible
+   */
+  setVisible(isVisible) {
+    this.post("visible", isVisible);
+  }
+
+  /**
+   * @param {string | null | undefined} mode
+   */
+  setFrameloop(mode) {
+    this.post("frameloop", mode);
+  }
+
+  /**
+   * @param {boolean | null | undefined} animated - null to detect
+   */
+  setAnimated(animated) {
+    this.post("animated", animated ?? null);
+  }
+
+  /**
+   * @param {number} progress
+   */
+  setScroll(progress) {
+    this.post("scroll", progress);
+  }
+
+  invalidate() {
+    this.post("invalidate");
+  }
+
+  /**
+   * @param {import("./export.js").ExportOptions} [options]
+   * @returns {Promise<Blob | ImageData>}
+   */
+  export(options = {}) {
+    return this.call("export", options);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Uint32Array>}
+   */
+  readBuffer(name) {
+    return this.call("readBuffer", name);
+  }
+
+  /**
+   * @param {string} message
+   */
+  rejectCalls(message) {
+    for (const { reject } of this.calls.values()) reject(new Error(message));
+    this.calls.clear();
+  }
+
+  /**
+   * @param {string} message
+   */
+  fail(message) {
+    this.rejectCalls(message);
+    this.destroy();
+    this.callbacks.onError?.(message, true);
+  }
+
+  destroy() {
+    if (!renderers.delete(this.id)) return;
+    this.stopObservingSize();
+    this.stopObservingPointer();
+    this.post("destroy");
+    this.rejectCalls("The renderer was destroyed");
+  }
+}